@@ -0,0 +1,220 @@
+/**
+ * Compare finding the lowest common ancestor by enumerating every path to the entrypoint with finding it from the
+ * dominator tree. Both must agree on every fixture. Path enumeration is skipped once the number of paths makes it
+ * impractical.
+ *
+ * Usage: node benchmarks/common-ancestors.js
+ */
+import graphlib from 'graphlib';
+import {performance} from 'perf_hooks';
+import GraphNode from '../lib/graph-node.js';
+import DominatorTree from '../lib/dominator-tree.js';
+import lowestCommonAncestor from '../lib/lowest-common-ancestor.js';
+
+const MAX_ENUMERATED_PATHS = 200000;
+
+/**
+ * Find all possible paths to the entrypoint from a given starting node. The number of paths grows exponentially
+ * with the number of diamonds in the graph.
+ *
+ * @param {string} startingNode
+ * @param {string} entryPoint
+ * @param {!graphlib.Graph} graph
+ * @param {!Map<string, !Array<!Array<string>>>=} cache
+ * @param {!Array<string>=} currentPath
+ * @return {!Array<!Array<string>>>}
+ */
+function pathsToEntrypoint(startingNode, graph, cache = new Map(), currentPath = []) {
+  if (cache.has(startingNode)) {
+    return cache.get(startingNode);
+  }
+  const entrypointPaths = [];
+  cache.set(startingNode, entrypointPaths);
+  const parentNodes = graph.inEdges(startingNode).map((edge) => edge.v);
+  if (parentNodes.length === 0) {
+    entrypointPaths.push([startingNode]);
+  }
+  const thisPath = currentPath.concat(startingNode);
+  for (let i = 0; i < parentNodes.length; i++) {
+    const parentNode = parentNodes[i];
+    if (!thisPath.includes(parentNode)) {
+      const parentPaths = pathsToEntrypoint(parentNode, graph, cache, thisPath);
+      entrypointPaths.push(...parentPaths.map((parentPath) => [startingNode].concat(parentPath)));
+    }
+  }
+  return entrypointPaths;
+}
+
+/**
+ * Lowest common ancestor found by intersecting every path to the entrypoint. This is the original algorithm.
+ *
+ * @param {!Array<string>} sourceNodes
+ * @param {!graphlib.Graph} graph
+ * @param {!Object<string, {distance: number}>} nodeDistanceFromEntrypoint
+ * @return {string}
+ */
+function enumeratedLowestCommonAncestor(sourceNodes, graph, nodeDistanceFromEntrypoint) {
+  const pathsCache = new Map();
+  let commonNodes;
+  sourceNodes.forEach((sourceNode) => {
+    pathsToEntrypoint(sourceNode, graph, pathsCache).forEach((entrypointPath) => {
+      if (!commonNodes) {
+        commonNodes = new Set(entrypointPath);
+        return;
+      }
+      commonNodes.forEach((node) => {
+        if (!entrypointPath.includes(node)) {
+          commonNodes.delete(node);
+        }
+      });
+    });
+  });
+  return Array.from(commonNodes).sort((a, b) => {
+    if (nodeDistanceFromEntrypoint[a].distance === nodeDistanceFromEntrypoint[b].distance) {
+      return a.localeCompare(b);
+    }
+    return nodeDistanceFromEntrypoint[b].distance - nodeDistanceFromEntrypoint[a].distance;
+  })[0];
+}
+
+/**
+ * Deterministic pseudo random numbers so that fixtures are the same on every run.
+ *
+ * @param {number} seed
+ * @return {function(): number}
+ */
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+/**
+ * @param {!Array<!Array<string>>} edges
+ * @return {!graphlib.Graph}
+ */
+function buildGraph(edges) {
+  const graph = new graphlib.Graph({directed: true, compound: false});
+  graph.setNode('main', new GraphNode('main'));
+  edges.forEach(([parent, child]) => {
+    [parent, child].forEach((nodeName) => {
+      if (!graph.hasNode(nodeName)) {
+        graph.setNode(nodeName, new GraphNode(nodeName));
+      }
+    });
+    graph.setEdge(parent, child);
+  });
+  return graph;
+}
+
+/**
+ * A chain of diamonds. Each diamond doubles the number of paths to the entrypoint.
+ *
+ * @param {number} diamonds
+ * @return {{graph: !graphlib.Graph, queries: !Array<!Array<string>>}}
+ */
+function diamondChain(diamonds) {
+  const edges = [];
+  let top = 'main';
+  for (let i = 0; i < diamonds; i++) {
+    const bottom = `join-${i}`;
+    edges.push([top, `left-${i}`], [top, `right-${i}`], [`left-${i}`, bottom], [`right-${i}`, bottom]);
+    top = bottom;
+  }
+  edges.push([top, 'leaf-a'], [top, 'leaf-b']);
+  return {
+    graph: buildGraph(edges),
+    queries: [['leaf-a', 'leaf-b'], [`left-${diamonds - 1}`, `right-${diamonds - 1}`], ['leaf-a']]
+  };
+}
+
+/**
+ * Layers of chunks where every chunk is imported by several chunks of the two layers above it.
+ *
+ * @param {number} layers
+ * @param {number} width
+ * @param {number} parentsPerChunk
+ * @return {{graph: !graphlib.Graph, queries: !Array<!Array<string>>}}
+ */
+function layeredGraph(layers, width, parentsPerChunk) {
+  const nextRandom = random(layers * width * parentsPerChunk);
+  const edges = [];
+  const chunks = [['main']];
+  for (let layer = 1; layer < layers; layer++) {
+    const layerChunks = [];
+    for (let i = 0; i < width; i++) {
+      const chunkName = `chunk-${layer}-${i}`;
+      layerChunks.push(chunkName);
+      for (let j = 0; j < parentsPerChunk; j++) {
+        const parentLayer = chunks[Math.max(0, layer - 1 - Math.floor(nextRandom() * 2))];
+        edges.push([parentLayer[Math.floor(nextRandom() * parentLayer.length)], chunkName]);
+      }
+    }
+    chunks.push(layerChunks);
+  }
+  const allChunks = chunks.flat();
+  const queries = [];
+  for (let i = 0; i < 200; i++) {
+    const queryLength = 2 + Math.floor(nextRandom() * 4);
+    const query = [];
+    for (let j = 0; j < queryLength; j++) {
+      query.push(allChunks[1 + Math.floor(nextRandom() * (allChunks.length - 1))]);
+    }
+    queries.push(query);
+  }
+  return {graph: buildGraph(edges), queries};
+}
+
+/**
+ * Count the paths from each node to the entrypoint without enumerating them.
+ *
+ * @param {!graphlib.Graph} graph
+ * @return {number} the largest number of paths from any node
+ */
+function countPaths(graph) {
+  const pathCounts = new Map();
+  graphlib.alg.topsort(graph).forEach((nodeName) => {
+    const parents = graph.inEdges(nodeName).map(({v}) => v);
+    pathCounts.set(
+        nodeName,
+        parents.length === 0 ? 1 : parents.reduce((sum, parent) => sum + pathCounts.get(parent), 0));
+  });
+  return Math.max(...pathCounts.values());
+}
+
+const fixtures = [
+  ['diamond chain of 8', diamondChain(8)],
+  ['diamond chain of 14', diamondChain(14)],
+  ['diamond chain of 40', diamondChain(40)],
+  ['100 chunks in 10 layers', layeredGraph(10, 10, 2)],
+  ['400 chunks in 20 layers', layeredGraph(20, 20, 2)],
+  ['400 chunks in 40 layers', layeredGraph(40, 10, 3)]
+];
+
+fixtures.forEach(([fixtureName, {graph, queries}]) => {
+  const nodeDistanceFromEntrypoint = graphlib.alg.dijkstra(graph, 'main', () => 1);
+  const paths = countPaths(graph);
+
+  let start = performance.now();
+  const dominatorTree = new DominatorTree('main', graph);
+  const results = queries.map((query) =>
+      lowestCommonAncestor('main', query, graph, nodeDistanceFromEntrypoint, dominatorTree));
+  const dominatorTime = performance.now() - start;
+
+  let enumeratedTime = 'skipped';
+  if (paths <= MAX_ENUMERATED_PATHS) {
+    start = performance.now();
+    const enumeratedResults = queries.map((query) =>
+        enumeratedLowestCommonAncestor(query, graph, nodeDistanceFromEntrypoint));
+    enumeratedTime = `${(performance.now() - start).toFixed(1)}ms`;
+    enumeratedResults.forEach((result, index) => {
+      if (result !== results[index]) {
+        throw new Error(`${fixtureName}: expected ${result} for ${JSON.stringify(queries[index])} but found ` +
+            `${results[index]}`);
+      }
+    });
+  }
+  console.log(`${fixtureName} (${graph.nodeCount()} chunks, up to ${paths} paths per chunk, ` +
+      `${queries.length} queries): dominator tree ${dominatorTime.toFixed(1)}ms, path enumeration ${enumeratedTime}`);
+});
@@ -4,26 +4,96 @@ import path from 'path';
 import temp from 'temp';
 import open from 'open';
 import yargs from 'yargs';
-import Module from 'module';
 import ChunkGraph from './lib/chunk-graph.js';
-import parseGoogDeps from './lib/parse-goog-deps.js';
+import ChunkGraphWatcher, {diffClosureCompilerFlags} from './lib/chunk-graph-watcher.js';
+import buildChunkManifest from './lib/chunk-manifest.js';
+import calculateChunkSizes, {checkSizeBudgets} from './lib/chunk-sizes.js';
+import explainSource, {formatExplanation} from './lib/explain-source.js';
+import {GRAPH_DIFF_FORMAT, diffGraphSnapshots, formatGraphDiff} from './lib/graph-diff.js';
+import {addGoogSourceNamespaces, calculateChunksFromNormalized, normalizeOptions} from './lib/calculate-chunks.js';
+import loadConfigFile, {findConfigFile} from './lib/config-file.js';
 import generateHtml from './lib/generate-html.js';
 import {NAMING_STYLE} from './lib/chunk-naming.js';
-
-function resolveFrom(filepath, moduleId) {
-  const requireFrom = Module.createRequire(filepath);
-  return requireFrom.resolve(moduleId);
-}
+import {OUTPUT_FORMAT, formatClosureCompilerFlags} from './lib/output-format.js';
+import {DIAGNOSTICS_FORMAT, DiagnosticError, SEVERITY, formatDiagnostics} from './lib/diagnostics.js';
 
 const packageJson = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
-const argv = yargs(process.argv)
+/** Allowed values of the flags which take one of a list of choices, keyed by camelCase flag name */
+const FLAG_CHOICES = {
+  watchFormat: ['flags', 'diff'],
+  outputFormat: Object.values(OUTPUT_FORMAT),
+  diagnosticsFormat: Object.values(DIAGNOSTICS_FORMAT),
+  diffFormat: Object.values(GRAPH_DIFF_FORMAT),
+  namingStyle: Object.values(NAMING_STYLE)
+};
+
+/**
+ * Validate the flags given on the command line, and again once they are merged with the options of a config file.
+ *
+ * @param {!Object<string, *>} flagValues keyed by camelCase flag name
+ * @param {boolean} entrypointMayBeConfigured whether a missing entrypoint may still be given by a config file
+ * @return {boolean}
+ */
+function checkFlags(flagValues, entrypointMayBeConfigured) {
+  if (flagValues.diff) {
+    if (!Array.isArray(flagValues.diff) || flagValues.diff.length !== 2) {
+      throw new Error('diff must be specified exactly twice: --diff <before.json> --diff <after.json>');
+    }
+    return true;
+  }
+  if (!flagValues.entrypoint && !entrypointMayBeConfigured) {
+    throw new Error('Missing required argument: entrypoint');
+  }
+  if (flagValues.manualEntrypoint) {
+    const manualEntrypoints =
+        Array.isArray(flagValues.manualEntrypoint) ? flagValues.manualEntrypoint : [flagValues.manualEntrypoint];
+    // Definition objects can only be given by a config file and are checked by normalizeOptions
+    manualEntrypoints.filter((manualEntrypoint) => typeof manualEntrypoint === 'string')
+        .forEach((manualEntrypoint) => {
+          const parts = manualEntrypoint.split(':');
+          if (parts.length < 2) {
+            throw new Error('manual-entrypoints must be of the form "<path/to/Parent>:<path/to/Child>"');
+          }
+        });
+  }
+  if (flagValues.extraDeps) {
+    const extraDeps = Array.isArray(flagValues.extraDeps) ? flagValues.extraDeps : [flagValues.extraDeps];
+    extraDeps.forEach(dep => {
+      const depParts = dep.split(':');
+      if (depParts.length !== 2) {
+        throw new Error('extra-deps must be of the form "<namespace>:<path/to/file>"');
+      }
+    });
+  }
+  Object.keys(FLAG_CHOICES).forEach((flagName) => {
+    if (flagValues[flagName] !== undefined && !FLAG_CHOICES[flagName].includes(flagValues[flagName])) {
+      throw new Error(`${flagName} must be one of: ${FLAG_CHOICES[flagName].join(', ')}`);
+    }
+  });
+  return true;
+}
+
+const cli = yargs(process.argv)
     .version(packageJson.version)
+    .option('config', {
+      describe: 'Format: <path/to/config>. Load options from a JSON file, or from an ES module exporting an ' +
+          'object or a function returning one. Options use the camelCase names of these flags and flags override ' +
+          'them. Relative paths are resolved against the directory of the config file. Defaults to ' +
+          'closure-chunks.config.js, closure-chunks.config.mjs or closure-chunks.config.json in the current working ' +
+          'directory when present.',
+      type: 'string'
+    })
     .option('entrypoint', {
-      demandOption: true,
       describe: 'Format: <path/to/file>. Main entrypoint for the program. The first occurrence will be treated as the primary entrypoint. Additional entrypoints will be added as children of the primary entrypoint. Multiple files may be listed for a single entrypoint, separated by commas, to indicate they are both part of the same chunk.',
       type: 'string'
     })
+    .option('multiple-roots', {
+      describe: 'Treat every entrypoint as an independent root chunk, such as for each page of a multi-page app. ' +
+          'Roots load after an empty "base" chunk. Unless shared chunk thresholds are given, sources used by ' +
+          'several chunks are extracted into shared chunks.',
+      type: 'boolean'
+    })
     .option('manual-entrypoint', {
       describe: 'Format: <path/to/Parent>:<path/to/Child>. Add an arbitrary chunk entrypoint to the graph. Multiple children may be listed separated by commas.',
       type: 'string'
@@ -46,157 +116,394 @@ const argv = yargs(process.argv)
       type: 'string',
       requiresArg: 'closure-library-base-js-path'
     })
+    .option('goog-source-root', {
+      describe: 'Format: <path/to/directory>. Directory crawled for goog.provide, goog.module and ' +
+          'goog.declareModuleId declarations to find paths to closure-library namespaces. May be repeated. ' +
+          'Requires --closure-library-base-js-path.',
+      type: 'string',
+      requiresArg: true
+    })
+    .option('write-deps-file', {
+      describe: 'Format: <path/to/deps.js>. Write a deps.js file of goog.addDependency calls for the namespaces ' +
+          'found in the goog source roots. Requires --goog-source-root.',
+      type: 'string',
+      requiresArg: true
+    })
     .option('visualize', {
       describe: 'Create and open an html page to visualize the graph.',
       type: 'boolean'
     })
     .option('package-json-entry-names', {
       describe: 'Ordered list of entries to look for in package.json files when resolving modules',
-      default: 'browser,module,main',
+      defaultDescription: 'browser,module,main',
+      type: 'string'
+    })
+    .option('package-json-conditions', {
+      describe: 'Conditions to match when resolving modules through package.json "exports" and "imports" maps',
+      defaultDescription: 'browser,import,default',
+      type: 'string'
+    })
+    .option('cache-dir', {
+      describe: 'Format: <path/to/cache>. Directory in which to persist the dependencies of each parsed file. ' +
+          'Unchanged files are not parsed again on subsequent runs.',
+      type: 'string'
+    })
+    .option('watch', {
+      describe: 'Keep running and output the chunk flags again whenever a source file changes.',
+      type: 'boolean'
+    })
+    .option('watch-format', {
+      describe: 'What is output after each rebuild in watch mode. For "flags", the complete chunk flags are ' +
+          'output. For "diff", the chunk and js values added or removed since the previous build are output.',
+      choices: FLAG_CHOICES.watchFormat,
+      defaultDescription: 'flags',
+      type: 'string'
+    })
+    .option('output', {
+      describe: 'Format: <path/to/file>. Write the chunk flags to a file instead of stdout. The file is replaced ' +
+          'atomically.',
+      type: 'string'
+    })
+    .option('output-format', {
+      describe: 'How the chunk flags are written. For "json", an object with "chunk" and "js" arrays. For ' +
+          '"flagfile", one --chunk or --js flag per line, readable by the closure-compiler --flagfile option. ' +
+          'For "args", a single line of shell escaped arguments.',
+      choices: FLAG_CHOICES.outputFormat,
+      defaultDescription: 'json',
+      type: 'string'
+    })
+    .option('diagnostics-format', {
+      describe: 'How problems are reported on stderr. For "text", one problem is written per line followed by the ' +
+          'chain of imports which led to the file. For "json", an array of objects with code, severity, message, ' +
+          'file, line, column and importChain properties is written.',
+      choices: FLAG_CHOICES.diagnosticsFormat,
+      defaultDescription: 'text',
+      type: 'string'
+    })
+    .option('explain', {
+      describe: 'Format: <path/to/file>. Instead of outputting the chunk flags, explain why a source file was ' +
+          'placed in its chunk.',
+      type: 'string'
+    })
+    .option('manifest', {
+      describe: 'Format: <path/to/manifest.json>. Write a manifest of each chunk entrypoint with the specifiers ' +
+          'used to import it, its chunk name, the chunks which must load before it and its sources.',
+      type: 'string'
+    })
+    .option('size-budget', {
+      describe: 'Format: <path/to/budgets.json>. JSON object of maximum chunk sizes in bytes keyed by chunk name or ' +
+          'glob. A number limits the raw size. An object may limit the "raw", "gzip" and "brotli" sizes. Chunks ' +
+          'over budget are reported along with the largest files they contain.',
+      type: 'string'
+    })
+    .option('shared-chunk-min-sources', {
+      describe: 'Extract sources shared by the same set of chunks into a new shared chunk, instead of moving them ' +
+          'to the lowest common ancestor, when there are at least this many of them.',
+      type: 'number'
+    })
+    .option('shared-chunk-min-size', {
+      describe: 'Extract sources shared by the same set of chunks into a new shared chunk, instead of moving them ' +
+          'to the lowest common ancestor, when their combined size is at least this many bytes.',
+      type: 'number'
+    })
+    .option('merge-max-sources', {
+      describe: 'Merge chunks split off from dynamic imports which contain at most this many sources into the ' +
+          'chunk which loads before them.',
+      type: 'number'
+    })
+    .option('merge-max-size', {
+      describe: 'Merge chunks split off from dynamic imports which contain at most this many bytes into the ' +
+          'chunk which loads before them.',
+      type: 'number'
+    })
+    .option('merge-siblings', {
+      describe: 'Merge chunks which are always imported together with Promise.all into a single chunk.',
+      type: 'boolean'
+    })
+    .option('snapshot', {
+      describe: 'Format: <path/to/snapshot.json>. Save the chunk graph to a file for later use with --diff.',
+      type: 'string'
+    })
+    .option('diff', {
+      describe: 'Format: <path/to/snapshot.json>. Specify twice to compare two snapshots saved with --snapshot. ' +
+          'Chunks added or removed, files moved between chunks and dependency graph edge changes are output. ' +
+          'No other flags are needed.',
+      type: 'string'
+    })
+    .option('diff-format', {
+      describe: 'How the graph diff is written. For "text", a human readable summary. For "json", an object with ' +
+          'chunks, files and dependencyEdges properties.',
+      choices: FLAG_CHOICES.diffFormat,
+      defaultDescription: 'text',
+      type: 'string'
+    })
+    .option('chunk-wrapper', {
+      describe: 'Template used to output a chunk_wrapper flag for every chunk. "%s" is replaced by ' +
+          'closure-compiler with the chunk code, "%chunkName%" with the chunk name and "%parents%" with a comma ' +
+          'separated list of parent chunk names.',
+      type: 'string'
+    })
+    .option('chunk-output-path-prefix', {
+      describe: 'Format: <path/to/output/>. Output a chunk_output_path_prefix flag with this value.',
       type: 'string'
     })
     .option('naming-style', {
       describe: 'How the name of a chunk is determined. For "entrypoint", chunk names are derived from the imported ' +
-          'file name. For "numbered", the entrypoint is named "main" and child chunks are numeric indexes.',
-      choices: Array.from(Object.values(NAMING_STYLE)),
-      default: 'entrypoint',
+          'file name. For "numbered", the entrypoint is named "main" and child chunks are numeric indexes. For ' +
+          '"content-hash", chunk names are a hash of the chunk source paths, prefixed by any name requested with a ' +
+          'chunkName magic comment.',
+      choices: FLAG_CHOICES.namingStyle,
+      defaultDescription: 'entrypoint',
       type: 'string'
     })
+    .option('hash-contents', {
+      describe: 'With the "content-hash" naming style, include the contents of the chunk sources in the hash so ' +
+          'that the name changes whenever a source changes.',
+      type: 'boolean'
+    })
     .option('name-prefix', {
       describe: 'Prefix string prepended to each chunk name',
-      default: '',
       type: 'string'
     })
+    .conflicts('watch', 'visualize')
+    .conflicts('watch', 'explain')
     .strict()
     .help()
     .coerce('package-json-entry-names', (arg) => arg.split(/,\s*/g))
-    .check((argv) => {
-      if (argv.manualEntrypoint) {
-        const manualEntrypoints = Array.isArray(argv.manualEntrypoint) ? argv.manualEntrypoint : [argv.manualEntrypoint];
-        manualEntrypoints.forEach((manualEntrypoint) => {
-          const parts = manualEntrypoint.split(':');
-          if (parts.length < 2) {
-            throw new Error('manual-entrypoints must be of the form "<path/to/Parent>:<path/to/Child>"');
-          }
-        });
-      } else if (argv['extra-deps']) {
-        const extraDeps = Array.isArray(argv['extra-deps']) ? argv['extra-deps'] : [argv['extra-deps']];
-        extraDeps.forEach(dep => {
-          const depParts = dep.split(':');
-          if (depParts.length !== 2) {
-            throw new Error('extra-deps must be of the form "<namespace>:<path/to/file>"');
-          }
-        });
-      }
-      return true;
-    })
-    .usage('Usage: node $0 --entrypoint src/main.js')
-    .argv;
+    .coerce('package-json-conditions', (arg) => arg.split(/,\s*/g))
+    // Entrypoints may be given by a config file instead
+    .check((argv) => checkFlags(argv, Boolean(argv.config || findConfigFile(process.cwd()))))
+    .usage('Usage: node $0 --entrypoint src/main.js');
+const argv = cli.argv;
 
-const flags = {};
+// Flags have no yargs defaults, so argv only holds the flags which were given and which override the options of a
+// config file. Defaults are applied by normalizeOptions and the output functions instead.
+const givenFlags = {};
 Object.keys(argv).forEach((option) => {
   if (/^[a-z]/.test(option) && !/-/.test(option)) {
-    flags[option] = argv[option];
+    givenFlags[option] = argv[option];
   }
 });
 
-const entrypoints = (Array.isArray(flags.entrypoint) ? flags.entrypoint : [flags.entrypoint])
-    .map(entrypoint => {
-      const entrypointFiles = entrypoint.split(',')
-          .map(entrypointFilePath => path.resolve(entrypointFilePath));
-      return {
-        name: entrypointFiles[0],
-        files: entrypointFiles
-      }
-    });
-let manualEntrypoints = [];
-if (flags.manualEntrypoint) {
-  if (Array.isArray(flags.manualEntrypoint)) {
-    manualEntrypoints = flags.manualEntrypoint;
+const flags = {};
+let options = null;
+let namingStyle;
+
+/**
+ * Write a file under a temporary name and then rename it so that readers never observe a partially written file.
+ *
+ * @param {string} filepath
+ * @param {string} contents
+ */
+function writeFileAtomic(filepath, contents) {
+  const outputPath = path.resolve(filepath);
+  const tempPath = `${outputPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents, 'utf8');
+  fs.renameSync(tempPath, outputPath);
+}
+
+/**
+ * Write to stdout, or to the output file.
+ *
+ * @param {string} contents
+ */
+function writeOutput(contents) {
+  if (flags.output) {
+    writeFileAtomic(flags.output, contents);
   } else {
-    manualEntrypoints.push(flags.manualEntrypoint);
+    process.stdout.write(contents);
   }
 }
-manualEntrypoints = manualEntrypoints.map(entrypoint => {
-  const parts = entrypoint.split(':');
-  const childrenFiles = parts[1].split(',').map((filepath) => path.resolve(filepath));
-  return {
-    parent: path.resolve(parts[0]),
-    child: {
-      name: path.resolve(parts[1]),
-      files: childrenFiles
-    }
-  };
-});
-const rootDir = flags.root || process.cwd();
-const googPathsByNamespace = new Map();
-let googBasePath = null;
-let googBaseDir = process.cwd();
-if (flags.closureLibraryBaseJsPath) {
-  googBasePath = resolveFrom(`${process.cwd()}/package.json`, flags.closureLibraryBaseJsPath);
-  googBaseDir = path.dirname(googBasePath);
-  if (flags.depsFile) {
-    const depsFiles = Array.isArray(flags.depsFile) ? flags.depsFile : [flags.depsFile];
-    depsFiles.forEach(depFile => {
-      const depFilePath = resolveFrom(`${process.cwd()}/package.json`, depFile);
-      const depFileContents = fs.readFileSync(depFilePath, 'utf8');
-      parseGoogDeps(depFileContents, googBaseDir).forEach((filepath, namespace) => {
-        googPathsByNamespace.set(namespace, filepath);
-      });
-    });
+
+/**
+ * Report diagnostics on stderr. Any error marks the process as failed.
+ *
+ * @param {!Array<!Diagnostic>} diagnostics
+ */
+function reportDiagnostics(diagnostics) {
+  if (diagnostics.length === 0) {
+    return;
   }
-  if (flags.extraDeps) {
-    const extraDeps = Array.isArray(flags.extraDeps) ? flags.extraDeps : [flags.extraDeps];
-    extraDeps.forEach(dep => {
-      const [namespace, filepath] = dep.split(':');
-      googPathsByNamespace.set(namespace, resolveFrom(`${process.cwd()}/package.json`, filepath));
-    });
+  process.stderr.write(formatDiagnostics(diagnostics, flags.diagnosticsFormat));
+  if (diagnostics.some(({severity}) => severity === SEVERITY.ERROR)) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Report a failure which prevented the chunk flags from being output.
+ *
+ * @param {!Error} e
+ */
+function reportFailure(e) {
+  process.stderr.write(`Error: ${e.message}\n`);
+  process.exitCode = 1;
+}
+
+/**
+ * Write the chunk manifest when requested.
+ *
+ * @param {!ChunkGraph} chunkGraph
+ */
+function writeManifest(chunkGraph) {
+  if (flags.manifest) {
+    writeFileAtomic(
+        flags.manifest,
+        JSON.stringify(buildChunkManifest(chunkGraph, options.namePrefix, namingStyle), null, 2) + '\n');
   }
 }
 
-ChunkGraph
-    .buildFromEntrypoints(
-        entrypoints,
-        manualEntrypoints,
-        flags.packageJsonEntryNames,
-        rootDir,
-        googBasePath,
-        googPathsByNamespace)
-    .then((chunkGraph) => {
-      const namingStyle = flags.namingStyle === NAMING_STYLE.NUMBERED ? NAMING_STYLE.NUMBERED : NAMING_STYLE.ENTRYPOINT;
-      if (flags.visualize) {
-        generateHtml(chunkGraph, flags.namePrefix, namingStyle)
-            .then((html) =>  new Promise((resolve, reject) => {
-              const tempFile = temp.path({ prefix: 'closure-calculate-chunks-', suffix: '.html' });
+/**
+ * Write the graph snapshot when requested.
+ *
+ * @param {!ChunkGraph} chunkGraph
+ */
+function writeSnapshot(chunkGraph) {
+  if (flags.snapshot) {
+    writeFileAtomic(flags.snapshot, JSON.stringify(chunkGraph, null, 2) + '\n');
+  }
+}
 
-              fs.writeFile(tempFile, html, 'utf8', (err) => {
-                if (err) {
-                  return reject(err);
-                }
-                resolve(tempFile);
-              });
-            }))
-            .then((tempFilePath) => {
-              console.log("Created temp file", tempFilePath);
-              const childProcess = open(tempFilePath);
-              if (childProcess.stderr) {
-                // Catch error output from child process
-                childProcess.stderr.once('data', (error) => {
-                  console.error({ code: 'CannotOpenTempFile', tempFilePath, error });
-                });
+/**
+ * Output the chunk flags, or whatever else the flags ask for, once the options are known.
+ */
+function run() {
+  if (flags.diff) {
+    const [before, after] = flags.diff.map((snapshotPath) =>
+        JSON.parse(fs.readFileSync(path.resolve(snapshotPath), 'utf8')));
+    writeOutput(
+        formatGraphDiff(diffGraphSnapshots(before, after, flags.namePrefix, flags.namingStyle), flags.diffFormat));
+  } else if (flags.watch) {
+    // Namespaces are found once. Sources added to the roots are found when the process restarts.
+    addGoogSourceNamespaces(options).then((googSourceDiagnostics) => {
+      const depsFinder = ChunkGraph.createDepsFinder(
+          options.packageJsonEntryNames,
+          options.baseDirectory,
+          options.googBasePath,
+          options.googDepsMap,
+          options.packageJsonConditions,
+          options.cacheDirectory,
+          options.googDependencies,
+          options.resolver,
+          options.packageJsonEntryNameOverrides);
+      let previousFlags = null;
+      const watcher = new ChunkGraphWatcher(
+          depsFinder,
+          options.entrypoints,
+          options.manualEntrypoints,
+          async (chunkGraph) => {
+            try {
+              if (options.chunkMergeOptions) {
+                await chunkGraph.mergeChunks(options.chunkMergeOptions);
               }
+              if (namingStyle === NAMING_STYLE.CONTENT_HASH) {
+                await chunkGraph.calculateContentHashes(options.baseDirectory, options.hashContents);
+              }
+            } catch (e) {
+              // A source was removed after the build. The next build will report it.
+              process.stderr.write(`Error: ${e.message}\n`);
+              return;
+            }
+            const diagnostics = options.googDepsDiagnostics.concat(
+                googSourceDiagnostics, depsFinder.diagnostics, chunkGraph.mergeDiagnostics);
+            let closureCompilerFlags = null;
+            try {
+              closureCompilerFlags = chunkGraph.getClosureCompilerFlags(
+                  options.namePrefix,
+                  namingStyle,
+                  options.chunkWrapper,
+                  options.chunkOutputPathPrefix);
+            } catch (e) {
+              if (!(e instanceof DiagnosticError)) {
+                throw e;
+              }
+              diagnostics.push(...e.diagnostics);
+            }
+            diagnostics.push(...chunkGraph.namingDiagnostics);
+            if (closureCompilerFlags && options.sizeBudgets) {
+              try {
+                diagnostics.push(...checkSizeBudgets(
+                    chunkGraph,
+                    await calculateChunkSizes(chunkGraph),
+                    options.sizeBudgets,
+                    options.namePrefix,
+                    namingStyle));
+              } catch (e) {
+                // A source was removed after the build. The next build will report it.
+                process.stderr.write(`Error: ${e.message}\n`);
+              }
+            }
+            // Each build reports its own problems, so an earlier failure should not fail the process
+            process.exitCode = 0;
+            reportDiagnostics(diagnostics);
+            if (!closureCompilerFlags) {
+              return;
+            }
+            writeManifest(chunkGraph);
+            writeSnapshot(chunkGraph);
+            if (flags.watchFormat === 'diff') {
+              writeOutput(
+                  JSON.stringify(diffClosureCompilerFlags(previousFlags, closureCompilerFlags), null, 2) + '\n');
+            } else {
+              writeOutput(formatClosureCompilerFlags(closureCompilerFlags, flags.outputFormat));
+            }
+            previousFlags = closureCompilerFlags;
+          },
+          (e) => {
+            process.stderr.write(`Error: ${e.message}\n`);
+          },
+          options.sharedChunkThresholds);
+      watcher.start();
+    }).catch(reportFailure);
+  } else {
+    calculateChunksFromNormalized(options)
+        .then(({flags: closureCompilerFlags, chunkGraph, diagnostics}) => {
+          reportDiagnostics(diagnostics);
+          if (flags.explain) {
+            (Array.isArray(flags.explain) ? flags.explain : [flags.explain]).forEach((filepath) => {
+              process.stdout.write(formatExplanation(
+                  explainSource(chunkGraph, path.resolve(filepath), options.namePrefix, namingStyle)));
             });
-      } else {
-        try {
-          process.stdout.write(
-              JSON.stringify(
-                  chunkGraph.getClosureCompilerFlags(flags.namePrefix, namingStyle),
-                  null,
-                  2) +
-              '\n');
-        } catch (e) {
-          process.stderr.write(`Error: ${e.message}\n`);
-          process.exitCode = 1;
-        }
-      }
-    });
+          } else if (flags.visualize) {
+            return generateHtml(chunkGraph, options.namePrefix, namingStyle)
+                .then((html) =>  new Promise((resolve, reject) => {
+                  const tempFile = temp.path({ prefix: 'closure-calculate-chunks-', suffix: '.html' });
+
+                  fs.writeFile(tempFile, html, 'utf8', (err) => {
+                    if (err) {
+                      return reject(err);
+                    }
+                    resolve(tempFile);
+                  });
+                }))
+                .then((tempFilePath) => {
+                  console.log("Created temp file", tempFilePath);
+                  const childProcess = open(tempFilePath);
+                  if (childProcess.stderr) {
+                    // Catch error output from child process
+                    childProcess.stderr.once('data', (error) => {
+                      console.error({ code: 'CannotOpenTempFile', tempFilePath, error });
+                    });
+                  }
+                });
+          } else if (closureCompilerFlags) {
+            writeManifest(chunkGraph);
+            writeSnapshot(chunkGraph);
+            writeOutput(formatClosureCompilerFlags(closureCompilerFlags, flags.outputFormat));
+          }
+        })
+        .catch(reportFailure);
+  }
+}
+
+const configPath = givenFlags.config || findConfigFile(process.cwd());
+(configPath ? loadConfigFile(configPath) : Promise.resolve({}))
+    .then((config) => {
+      Object.assign(flags, config, givenFlags);
+      checkFlags(flags, false);
+      // Comparing snapshots does not build a graph, so no entrypoint is needed
+      options = flags.diff ? null : normalizeOptions(flags);
+      namingStyle = options ? options.namingStyle : undefined;
+    })
+    .then(run)
+    .catch(reportFailure);
@@ -0,0 +1,381 @@
+import fs from 'fs';
+import path from 'path';
+import Module from 'module';
+import ChunkGraph from './chunk-graph.js';
+import {parseGoogDependencies} from './parse-goog-deps.js';
+import scanGoogSources, {formatGoogDeps} from './goog-sources.js';
+import {NAMING_STYLE} from './chunk-naming.js';
+import calculateChunkSizes, {checkSizeBudgets} from './chunk-sizes.js';
+import {Diagnostic, DiagnosticError} from './diagnostics.js';
+
+/**
+ * A manual entrypoint given as an object rather than a "<path/to/Parent>:<path/to/Child>" string. The chunk name
+ * takes precedence over the naming style.
+ *
+ * @typedef {{
+ *   parent: string,
+ *   files: (string|!Array<string>),
+ *   chunkName: (string|undefined)
+ * }} ManualEntrypointDefinition
+ */
+
+/**
+ * Options accepted by calculateChunks. Each option corresponds to the command line flag of the same name.
+ * Options which may be repeated on the command line accept either a single string or an array.
+ *
+ * A few options have no command line flag and may only be given in code or in a config file: manual entrypoint
+ * definitions with a chunk name, a custom module resolver and package.json entry names for specific packages.
+ *
+ * @typedef {{
+ *   entrypoint: (string|!Array<string>),
+ *   multipleRoots: (boolean|undefined),
+ *   manualEntrypoint: (string|!ManualEntrypointDefinition|!Array<(string|!ManualEntrypointDefinition)>|undefined),
+ *   root: (string|undefined),
+ *   closureLibraryBaseJsPath: (string|undefined),
+ *   depsFile: (string|!Array<string>|undefined),
+ *   extraDeps: (string|!Array<string>|undefined),
+ *   googSourceRoot: (string|!Array<string>|undefined),
+ *   writeDepsFile: (string|undefined),
+ *   packageJsonEntryNames: (string|!Array<string>|undefined),
+ *   packageJsonEntryNameOverrides: (!Object<string, (string|!Array<string>)>|undefined),
+ *   packageJsonConditions: (string|!Array<string>|undefined),
+ *   resolver: (?ModuleResolver|undefined),
+ *   cacheDir: (string|undefined),
+ *   namingStyle: (!NAMING_STYLE|undefined),
+ *   hashContents: (boolean|undefined),
+ *   namePrefix: (string|undefined),
+ *   chunkWrapper: (string|undefined),
+ *   chunkOutputPathPrefix: (string|undefined),
+ *   sizeBudget: (string|!SizeBudgets|undefined),
+ *   sharedChunkMinSources: (number|undefined),
+ *   sharedChunkMinSize: (number|undefined),
+ *   mergeMaxSources: (number|undefined),
+ *   mergeMaxSize: (number|undefined),
+ *   mergeSiblings: (boolean|undefined)
+ * }} CalculateChunksOptions
+ */
+
+/**
+ * Options converted by normalizeOptions into the arguments used to build a chunk graph
+ *
+ * @typedef {{
+ *   entrypoints: !Array<{name:string, files: !Array<string>}>,
+ *   manualEntrypoints: !Array<{
+ *     parent: string,
+ *     child: {name: string, files: !Array<string>, chunkName: (string|undefined)}
+ *   }>,
+ *   packageJsonEntryNames: !Array<string>,
+ *   packageJsonEntryNameOverrides: !Map<string, !Array<string>>,
+ *   baseDirectory: string,
+ *   googBasePath: ?string,
+ *   googDepsMap: !Map<string, string>,
+ *   googDependencies: !Map<string, !GoogDependency>,
+ *   googDepsDiagnostics: !Array<!Diagnostic>,
+ *   googSourceRoots: !Array<string>,
+ *   writeDepsFile: ?string,
+ *   packageJsonConditions: !Array<string>,
+ *   resolver: ?ModuleResolver,
+ *   cacheDirectory: ?string,
+ *   namePrefix: string,
+ *   namingStyle: !NAMING_STYLE,
+ *   hashContents: boolean,
+ *   chunkWrapper: (string|undefined),
+ *   chunkOutputPathPrefix: (string|undefined),
+ *   sizeBudgets: ?SizeBudgets,
+ *   sharedChunkThresholds: ?SharedChunkThresholds,
+ *   chunkMergeOptions: ?ChunkMergeOptions
+ * }} NormalizedOptions
+ */
+
+/**
+ * Name of the empty chunk which loads before each root entrypoint when there are multiple roots. It is resolved
+ * against the root directory.
+ */
+const MULTIPLE_ROOTS_BASE_CHUNK = 'base';
+
+/**
+ * @param {string} filepath
+ * @param {string} moduleId
+ * @return {string}
+ */
+function resolveFrom(filepath, moduleId) {
+  const requireFrom = Module.createRequire(filepath);
+  return requireFrom.resolve(moduleId);
+}
+
+/**
+ * @param {string|!Array<string>|undefined} value
+ * @return {!Array<string>}
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * @param {string|!Array<string>|undefined} value
+ * @param {!Array<string>} defaultValue
+ * @return {!Array<string>}
+ */
+function toList(value, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  return Array.isArray(value) ? value : value.split(/,\s*/g);
+}
+
+/**
+ * Convert options in the form accepted by the command line into the arguments used to build a chunk graph.
+ * Entrypoints may list several files separated by commas. Manual entrypoints are either definition objects or of
+ * the form "<path/to/Parent>:<path/to/Child>". Extra deps are of the form "<namespace>:<path/to/file>". A size
+ * budget given as a string is the path to a JSON file containing the budgets.
+ * Paths are resolved relative to the current working directory.
+ *
+ * With multipleRoots, every entrypoint is a root chunk which loads after an empty base chunk. Unless shared chunk
+ * thresholds are given, sources used by several chunks are extracted into shared chunks so that the base chunk
+ * stays empty.
+ *
+ * @param {!CalculateChunksOptions} options
+ * @return {!NormalizedOptions}
+ */
+export function normalizeOptions(options) {
+  const entrypoints = toArray(options.entrypoint).map(entrypoint => {
+    const entrypointFiles = entrypoint.split(',')
+        .map(entrypointFilePath => path.resolve(entrypointFilePath));
+    return {
+      name: entrypointFiles[0],
+      files: entrypointFiles
+    }
+  });
+  if (entrypoints.length === 0) {
+    throw new Error('At least one entrypoint is required');
+  }
+  const baseDirectory = options.root || process.cwd();
+  if (options.multipleRoots) {
+    entrypoints.unshift({
+      name: path.resolve(baseDirectory, MULTIPLE_ROOTS_BASE_CHUNK),
+      files: []
+    });
+  }
+
+  const manualEntrypoints = toArray(options.manualEntrypoint).map(entrypoint => {
+    if (typeof entrypoint !== 'string') {
+      const childrenFiles = toArray(entrypoint.files).map((filepath) => path.resolve(filepath));
+      if (!entrypoint.parent || childrenFiles.length === 0) {
+        throw new Error('manual entrypoint definitions must have a parent and at least one file');
+      }
+      return {
+        parent: path.resolve(entrypoint.parent),
+        child: {
+          name: childrenFiles[0],
+          files: childrenFiles,
+          chunkName: entrypoint.chunkName
+        }
+      };
+    }
+    const parts = entrypoint.split(':');
+    if (parts.length < 2) {
+      throw new Error('manual-entrypoints must be of the form "<path/to/Parent>:<path/to/Child>"');
+    }
+    const childrenFiles = parts[1].split(',').map((filepath) => path.resolve(filepath));
+    return {
+      parent: path.resolve(parts[0]),
+      child: {
+        name: path.resolve(parts[1]),
+        files: childrenFiles
+      }
+    };
+  });
+
+  if (!options.closureLibraryBaseJsPath && toArray(options.googSourceRoot).length > 0) {
+    throw new Error('goog-source-root requires closure-library-base-js-path');
+  }
+  if (options.writeDepsFile && toArray(options.googSourceRoot).length === 0) {
+    throw new Error('write-deps-file requires goog-source-root');
+  }
+  if (options.namingStyle !== undefined && !Object.values(NAMING_STYLE).includes(options.namingStyle)) {
+    throw new Error(`naming-style must be one of ${Object.values(NAMING_STYLE).join(', ')}`);
+  }
+  const googDepsMap = new Map();
+  const googDependencies = new Map();
+  const googDepsDiagnostics = [];
+  let googBasePath = null;
+  if (options.closureLibraryBaseJsPath) {
+    googBasePath = resolveFrom(`${process.cwd()}/package.json`, options.closureLibraryBaseJsPath);
+    const googBaseDir = path.dirname(googBasePath);
+    toArray(options.depsFile).forEach(depFile => {
+      const depFilePath = resolveFrom(`${process.cwd()}/package.json`, depFile);
+      const depFileContents = fs.readFileSync(depFilePath, 'utf8');
+      const {dependencies, diagnostics} = parseGoogDependencies(depFileContents, googBaseDir, depFilePath);
+      dependencies.forEach((googDependency) => {
+        googDependency.provides.forEach((namespace) => googDepsMap.set(namespace, googDependency.filepath));
+        googDependencies.set(googDependency.filepath, googDependency);
+      });
+      googDepsDiagnostics.push(...diagnostics);
+    });
+    toArray(options.extraDeps).forEach(dep => {
+      const depParts = dep.split(':');
+      if (depParts.length !== 2) {
+        throw new Error('extra-deps must be of the form "<namespace>:<path/to/file>"');
+      }
+      const [namespace, filepath] = depParts;
+      googDepsMap.set(namespace, resolveFrom(`${process.cwd()}/package.json`, filepath));
+    });
+  }
+
+  return {
+    entrypoints,
+    manualEntrypoints,
+    packageJsonEntryNames: toList(options.packageJsonEntryNames, ['browser', 'module', 'main']),
+    packageJsonEntryNameOverrides: new Map(Object.entries(options.packageJsonEntryNameOverrides || {})
+        .map(([packageName, entryNames]) => [packageName, toList(entryNames, [])])),
+    baseDirectory,
+    googBasePath,
+    googDepsMap,
+    googDependencies,
+    googDepsDiagnostics,
+    googSourceRoots: toArray(options.googSourceRoot).map((sourceRoot) => path.resolve(sourceRoot)),
+    writeDepsFile: options.writeDepsFile ? path.resolve(options.writeDepsFile) : null,
+    packageJsonConditions: toList(options.packageJsonConditions, ['browser', 'import', 'default']),
+    resolver: options.resolver || null,
+    cacheDirectory: options.cacheDir ? path.resolve(options.cacheDir) : null,
+    namePrefix: options.namePrefix || '',
+    namingStyle: options.namingStyle || NAMING_STYLE.ENTRYPOINT,
+    hashContents: Boolean(options.hashContents),
+    chunkWrapper: options.chunkWrapper,
+    chunkOutputPathPrefix: options.chunkOutputPathPrefix,
+    sizeBudgets: typeof options.sizeBudget === 'string' ?
+        JSON.parse(fs.readFileSync(path.resolve(options.sizeBudget), 'utf8')) :
+        options.sizeBudget || null,
+    sharedChunkThresholds: options.sharedChunkMinSources !== undefined || options.sharedChunkMinSize !== undefined ?
+        {minSources: options.sharedChunkMinSources, minSize: options.sharedChunkMinSize} :
+        options.multipleRoots ? {minSources: 1} : null,
+    chunkMergeOptions: options.mergeMaxSources !== undefined || options.mergeMaxSize !== undefined ||
+        options.mergeSiblings ?
+        {maxSources: options.mergeMaxSources, maxSize: options.mergeMaxSize, siblings: Boolean(options.mergeSiblings)} :
+        null
+  };
+}
+
+/**
+ * Crawl the Closure Library source roots of normalized options and add the namespaces found to the dependency map.
+ * Namespaces listed in a deps file or given as extra deps take precedence. When requested, a deps.js file listing
+ * the scanned sources is written.
+ *
+ * @param {{
+ *   googBasePath: ?string,
+ *   googDepsMap: !Map<string, string>,
+ *   googSourceRoots: !Array<string>,
+ *   writeDepsFile: ?string
+ * }} normalizedOptions
+ * @return {!Promise<!Array<!Diagnostic>>} duplicate namespaces and files which could not be read or parsed
+ */
+export async function addGoogSourceNamespaces(normalizedOptions) {
+  if (normalizedOptions.googSourceRoots.length === 0) {
+    return [];
+  }
+  const {googDepsMap, sources, diagnostics} =
+      await scanGoogSources(normalizedOptions.googSourceRoots, ChunkGraph.parsers);
+  googDepsMap.forEach((filepath, namespace) => {
+    if (!normalizedOptions.googDepsMap.has(namespace)) {
+      normalizedOptions.googDepsMap.set(namespace, filepath);
+    }
+  });
+  if (normalizedOptions.writeDepsFile) {
+    await fs.promises.writeFile(
+        normalizedOptions.writeDepsFile,
+        formatGoogDeps(sources, path.dirname(normalizedOptions.googBasePath)));
+  }
+  return diagnostics;
+}
+
+/**
+ * Build the chunk graph and calculate the closure-compiler chunk flags. Accepts the same options as the command
+ * line. Problems found in source files and in the chunk definitions are reported as diagnostics rather than thrown.
+ * When size budgets are given, the size of each chunk is calculated and chunks over budget are reported as
+ * diagnostics.
+ *
+ * @param {!CalculateChunksOptions} options
+ * @return {!Promise<{
+ *   flags: ?{chunk: !Array<string>, js: !Array<string>},
+ *   chunkGraph: !ChunkGraph,
+ *   diagnostics: !Array<!Diagnostic>,
+ *   chunkSizes: ?Map<string, !ChunkSize>
+ * }>}
+ */
+export default async function calculateChunks(options) {
+  return calculateChunksFromNormalized(normalizeOptions(options));
+}
+
+/**
+ * Calculate the chunk flags from options which were already normalized, so that files named by the options are
+ * not read again.
+ *
+ * @param {!NormalizedOptions} normalizedOptions
+ * @return {!Promise<{
+ *   flags: ?{chunk: !Array<string>, js: !Array<string>},
+ *   chunkGraph: !ChunkGraph,
+ *   diagnostics: !Array<!Diagnostic>,
+ *   chunkSizes: ?Map<string, !ChunkSize>
+ * }>}
+ */
+export async function calculateChunksFromNormalized(normalizedOptions) {
+  const googSourceDiagnostics = await addGoogSourceNamespaces(normalizedOptions);
+  const depsFinder = ChunkGraph.createDepsFinder(
+      normalizedOptions.packageJsonEntryNames,
+      normalizedOptions.baseDirectory,
+      normalizedOptions.googBasePath,
+      normalizedOptions.googDepsMap,
+      normalizedOptions.packageJsonConditions,
+      normalizedOptions.cacheDirectory,
+      normalizedOptions.googDependencies,
+      normalizedOptions.resolver,
+      normalizedOptions.packageJsonEntryNameOverrides);
+  const chunkGraph = await ChunkGraph.buildWithDepsFinder(
+      depsFinder,
+      normalizedOptions.entrypoints,
+      normalizedOptions.manualEntrypoints,
+      normalizedOptions.sharedChunkThresholds);
+
+  if (normalizedOptions.chunkMergeOptions) {
+    await chunkGraph.mergeChunks(normalizedOptions.chunkMergeOptions);
+  }
+  if (normalizedOptions.namingStyle === NAMING_STYLE.CONTENT_HASH) {
+    await chunkGraph.calculateContentHashes(normalizedOptions.baseDirectory, normalizedOptions.hashContents);
+  }
+
+  const diagnostics = normalizedOptions.googDepsDiagnostics.concat(
+      googSourceDiagnostics, depsFinder.diagnostics, chunkGraph.mergeDiagnostics);
+  let flags = null;
+  try {
+    flags = chunkGraph.getClosureCompilerFlags(
+        normalizedOptions.namePrefix,
+        normalizedOptions.namingStyle,
+        normalizedOptions.chunkWrapper,
+        normalizedOptions.chunkOutputPathPrefix);
+  } catch (e) {
+    if (!(e instanceof DiagnosticError)) {
+      throw e;
+    }
+    diagnostics.push(...e.diagnostics);
+  }
+  diagnostics.push(...chunkGraph.namingDiagnostics);
+  let chunkSizes = null;
+  if (flags && normalizedOptions.sizeBudgets) {
+    chunkSizes = await calculateChunkSizes(chunkGraph);
+    diagnostics.push(...checkSizeBudgets(
+        chunkGraph,
+        chunkSizes,
+        normalizedOptions.sizeBudgets,
+        normalizedOptions.namePrefix,
+        normalizedOptions.namingStyle));
+  }
+  return {
+    flags,
+    chunkGraph,
+    diagnostics,
+    chunkSizes
+  };
+}
@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import ChunkGraph from './chunk-graph.js';
+
+/**
+ * Compare two sets of closure-compiler flags.
+ *
+ * @param {?{chunk: !Array<string>, js: !Array<string>}} previousFlags
+ * @param {{chunk: !Array<string>, js: !Array<string>}} flags
+ * @return {{
+ *   chunk: {added: !Array<string>, removed: !Array<string>},
+ *   js: {added: !Array<string>, removed: !Array<string>}
+ * }}
+ */
+export function diffClosureCompilerFlags(previousFlags, flags) {
+  const diff = {};
+  ['chunk', 'js'].forEach((flagName) => {
+    const previousValues = new Set(previousFlags ? previousFlags[flagName] : []);
+    const values = new Set(flags[flagName]);
+    diff[flagName] = {
+      added: flags[flagName].filter((value) => !previousValues.has(value)),
+      removed: Array.from(previousValues).filter((value) => !values.has(value))
+    };
+  });
+  return diff;
+}
+
+/**
+ * @param {string} filepath
+ * @return {boolean} whether the file belongs to an installed package, rather than being its package.json
+ */
+function isPackageSource(filepath) {
+  return filepath.split(path.sep).includes('node_modules') && path.basename(filepath) !== 'package.json';
+}
+
+/**
+ * Keeps a chunk graph up to date as source files change. Every file in the graph is watched, except for the sources
+ * of installed packages, which only change along with their package.json file. Directories are watched rather than
+ * individual files to stay within the operating system limits on large graphs. The directories against which dynamic
+ * import patterns were expanded are watched too, as are the directories in which unresolved imports would be found, so
+ * that a file added to or removed from them causes the importing file to be parsed again. When files change, only
+ * those files are parsed again and the graph is rebuilt from the retained dependencies of the others.
+ */
+export default class ChunkGraphWatcher {
+  /** @type {!DepsFinder} */
+  #depsFinder = undefined;
+  /** @type {!Array<{name:string, files: !Array<string>}>} */
+  #entrypoints = undefined;
+  /** @type {!Array<{parent: string, child: {name: string, files: !Array<string>}}>} */
+  #manualEntrypoints = undefined;
+  /** @type {function(!ChunkGraph, !Array<string>): (undefined|!Promise<undefined>)} */
+  #onBuild = undefined;
+  /** @type {?SharedChunkThresholds} */
+  #sharedChunkThresholds = null;
+  /** @type {function(!Error)} */
+  #onError = undefined;
+  /** @type {!Map<string, !fs.FSWatcher>} keyed by directory */
+  #watchers = new Map();
+  /** @type {!Set<string>} */
+  #watchedFiles = new Set();
+  /**
+   * @type {!Map<string, !Set<string>>} files with dynamic imports expanded against each directory, or with unresolved
+   *     imports which a file added to the directory may resolve
+   */
+  #directoryImporters = new Map();
+  /** @type {!Set<string>} */
+  #changedFiles = new Set();
+  /** @type {?Promise<undefined>} */
+  #pendingBuild = null;
+  /** @type {number|undefined} */
+  #rebuildTimer = undefined;
+  /** @type {boolean} */
+  #closed = false;
+
+  /** Delay in milliseconds used to batch changes to several files into a single rebuild */
+  static debounceDelay = 50;
+
+  /**
+   * @param {!DepsFinder} depsFinder
+   * @param {!Array<{name:string, files: !Array<string>}>} entrypoints
+   * @param {!Array<{parent: string, child: {name: string, files: !Array<string>}}>} manualEntrypoints
+   * @param {function(!ChunkGraph, !Array<string>): (undefined|!Promise<undefined>)} onBuild called with the graph and
+   *     the changed files after each build. The next build waits for a returned promise.
+   * @param {function(!Error)} onError called when a build or onBuild fails. The previous set of files remains
+   *     watched.
+   * @param {?SharedChunkThresholds=} sharedChunkThresholds
+   */
+  constructor(depsFinder, entrypoints, manualEntrypoints, onBuild, onError, sharedChunkThresholds = null) {
+    this.#depsFinder = depsFinder;
+    this.#entrypoints = entrypoints;
+    this.#manualEntrypoints = manualEntrypoints;
+    this.#onBuild = onBuild;
+    this.#onError = onError;
+    this.#sharedChunkThresholds = sharedChunkThresholds;
+  }
+
+  /** @return {!Promise<undefined>} resolves after the initial build */
+  start() {
+    return this.#build([]);
+  }
+
+  close() {
+    this.#closed = true;
+    clearTimeout(this.#rebuildTimer);
+    this.#watchers.forEach((watcher) => watcher.close());
+    this.#watchers.clear();
+  }
+
+  /**
+   * @param {!Array<string>} changedFiles
+   * @return {!Promise<undefined>}
+   */
+  async #build(changedFiles) {
+    changedFiles.forEach((filepath) => {
+      this.#depsFinder.invalidate(filepath);
+      // Sources of installed packages are not watched, so are parsed again whenever their package.json changes
+      if (path.basename(filepath) === 'package.json') {
+        const packageDirectory = path.dirname(filepath) + path.sep;
+        Array.from(this.#depsFinder.fileDependencies.keys())
+            .filter((cachedFile) => cachedFile.startsWith(packageDirectory) && isPackageSource(cachedFile))
+            .forEach((cachedFile) => this.#depsFinder.invalidate(cachedFile));
+      }
+    });
+    let chunkGraph;
+    try {
+      chunkGraph = await ChunkGraph.buildWithDepsFinder(
+          this.#depsFinder, this.#entrypoints, this.#manualEntrypoints, this.#sharedChunkThresholds);
+    } catch (e) {
+      chunkGraph = null;
+      this.#onError(e);
+    }
+    if (this.#closed) {
+      return;
+    }
+    this.#updateWatchedFiles();
+    if (chunkGraph) {
+      try {
+        await this.#onBuild(chunkGraph, changedFiles);
+      } catch (e) {
+        this.#onError(e);
+      }
+    }
+  }
+
+  /**
+   * Watch every file referenced by the dependency finder and stop watching files which are no longer referenced.
+   * Files which failed to parse are referenced by their importers and so remain watched.
+   */
+  #updateWatchedFiles() {
+    const filesToWatch = new Set();
+    this.#entrypoints.concat(this.#manualEntrypoints.map(({child}) => child)).forEach((entrypoint) => {
+      entrypoint.files.forEach((filepath) => filesToWatch.add(filepath));
+    });
+    this.#depsFinder.fileDependencies.forEach((node, filepath) => {
+      filesToWatch.add(filepath);
+      node.deps.forEach((dep) => filesToWatch.add(dep));
+      node.childChunks.forEach((childChunk) => filesToWatch.add(childChunk));
+      node.packageJsonFiles.forEach((packageJsonFile) => filesToWatch.add(packageJsonFile));
+    });
+
+    this.#watchedFiles = new Set(Array.from(filesToWatch).filter((filepath) => !isPackageSource(filepath)));
+    const directoriesToWatch = new Set(Array.from(this.#watchedFiles).map((filepath) => path.dirname(filepath)));
+    this.#directoryImporters = new Map();
+    /** @param {!Map<string, !Set<string>>} importerDirectories */
+    const addDirectoryImporters = (importerDirectories) => {
+      importerDirectories.forEach((directories, importer) => {
+        directories.forEach((directory) => {
+          let importers = this.#directoryImporters.get(directory);
+          if (!importers) {
+            importers = new Set();
+            this.#directoryImporters.set(directory, importers);
+          }
+          importers.add(importer);
+          directoriesToWatch.add(directory);
+        });
+      });
+    };
+    addDirectoryImporters(this.#depsFinder.expandedDirectories);
+    addDirectoryImporters(this.#depsFinder.unresolvedDirectories);
+
+    this.#watchers.forEach((watcher, directory) => {
+      if (!directoriesToWatch.has(directory)) {
+        watcher.close();
+        this.#watchers.delete(directory);
+      }
+    });
+    directoriesToWatch.forEach((directory) => {
+      if (this.#watchers.has(directory)) {
+        return;
+      }
+      let watcher;
+      try {
+        watcher = fs.watch(directory, (eventType, filename) => this.#directoryChanged(directory, filename));
+      } catch (e) {
+        // The directory was removed before it could be watched. Builds fail until the reference is removed.
+        if (e.code !== 'ENOENT') {
+          this.#onError(e);
+        }
+        return;
+      }
+      watcher.on('error', (e) => {
+        watcher.close();
+        this.#watchers.delete(directory);
+        if (e.code !== 'ENOENT') {
+          this.#onError(e);
+        }
+        // Rebuilding watches the directory again if it still exists
+        this.#directoryChanged(directory, null);
+      });
+      this.#watchers.set(directory, watcher);
+    });
+  }
+
+  /**
+   * @param {string} directory
+   * @param {?string} filename null when the platform does not report which file changed
+   */
+  #directoryChanged(directory, filename) {
+    const changedFiles = filename ?
+        [path.join(directory, filename)] :
+        Array.from(this.#watchedFiles).filter((filepath) => path.dirname(filepath) === directory);
+    changedFiles.filter((filepath) => this.#watchedFiles.has(filepath)).forEach((filepath) => {
+      this.#fileChanged(filepath);
+    });
+    // Any entry of the directory may now match, or no longer match, a dynamic import pattern or resolve an import
+    (this.#directoryImporters.get(directory) || []).forEach((importer) => this.#fileChanged(importer));
+  }
+
+  /** @param {string} filepath */
+  #fileChanged(filepath) {
+    this.#changedFiles.add(filepath);
+    clearTimeout(this.#rebuildTimer);
+    this.#rebuildTimer = setTimeout(() => this.#rebuild(), ChunkGraphWatcher.debounceDelay);
+  }
+
+  #rebuild() {
+    // Changes which arrive during a build are picked up once it completes
+    if (this.#closed || this.#pendingBuild || this.#changedFiles.size === 0) {
+      return;
+    }
+    const changedFiles = Array.from(this.#changedFiles);
+    this.#changedFiles.clear();
+    this.#pendingBuild = this.#build(changedFiles).then(() => {
+      this.#pendingBuild = null;
+      this.#rebuild();
+    });
+  }
+}
@@ -1,9 +1,47 @@
+import crypto from 'crypto';
 import graphlib from 'graphlib';
 import path from 'path';
 import DepsFinder from './deps-finder.js';
+import DominatorTree from './dominator-tree.js';
+import GraphNode from './graph-node.js';
 import normalizeGraph from './normalize-graph.js';
 import fs from 'fs/promises';
 import {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
+import {DEFAULT_PARSERS} from './parsers.js';
+import {DIAGNOSTIC_CODE, Diagnostic, DiagnosticError, SEVERITY} from './diagnostics.js';
+
+/**
+ * Chunks are merged into the chunk which loads before them when they have at most maxSources sources or
+ * maxSize bytes. Sibling chunks which always load together are merged with each other when siblings is set.
+ *
+ * @typedef {{
+ *   maxSources: (number|undefined),
+ *   maxSize: (number|undefined),
+ *   siblings: (boolean|undefined)
+ * }} ChunkMergeOptions
+ */
+
+/**
+ * @param {!graphlib.Graph} graph
+ * @param {!Array<string>} startNodes
+ * @param {string} target
+ * @return {boolean} whether a path leads from any of the start nodes to the target
+ */
+function isReachable(graph, startNodes, target) {
+  const visited = new Set();
+  const stack = startNodes.slice();
+  while (stack.length > 0) {
+    const nodeName = stack.pop();
+    if (nodeName === target) {
+      return true;
+    }
+    if (!visited.has(nodeName)) {
+      visited.add(nodeName);
+      stack.push(...graph.successors(nodeName));
+    }
+  }
+  return false;
+}
 
 /**
  * A graph of output chunks built from an entrypoint. Separate chunks are split off
@@ -16,22 +54,63 @@ export default class ChunkGraph {
   #entrypoint = undefined;
   /** @type {!Map<string, !Set<string>>} */
   #sourceReferences = new Map();
-  /** @type {!{readFile:(function(string,string):!Promise<string>)}} */
+  /** @type {!Map<string, !Set<string>>} */
+  #importSpecifiers = new Map();
+  /** @type {!Map<string, string>} */
+  #chunkNames = new Map();
+  /** @type {!Map<string, string>} */
+  #contentHashes = new Map();
+  /** @type {!Map<string, !Set<string>>} */
+  #chunksLoadedTogether = new Map();
+  /** @type {!Map<string, string>} */
+  #mergedChunks = new Map();
+  /** @type {!Array<!Diagnostic>} */
+  #mergeDiagnostics = [];
+  /** @type {!Array<!Diagnostic>} */
+  #namingDiagnostics = [];
+  /**
+   * @type {!{
+   *   readFile:(function(string,string):!Promise<string>),
+   *   readdir:(function(string,{withFileTypes: boolean}):!Promise<!Array<!fs.Dirent>>)
+   * }}
+   */
   static fsAdapter = {
     readFile(filepath, encoding) {
       return fs.readFile(filepath, encoding);
+    },
+    readdir(directory, options) {
+      return fs.readdir(directory, options);
     }
   };
+  /**
+   * Source parsers keyed by file extension. Add entries to support additional source languages.
+   *
+   * @type {!Map<string, !SourceParser>}
+   */
+  static parsers = new Map(DEFAULT_PARSERS);
 
   /**
    * @param {string} entrypoint
    * @param {!graphlib.Graph=} graph
    * @param {!Map<string, !Set<string>>=} sourceReferences
+   * @param {!Map<string, !Set<string>>=} importSpecifiers specifiers used to dynamically import each chunk entrypoint
+   * @param {!Map<string, string>=} chunkNames names requested for chunks with magic comments
+   * @param {!Map<string, !Set<string>>=} chunksLoadedTogether chunks which every import of a chunk loads along
+   *     with it
    */
-  constructor(entrypoint, graph = new graphlib.Graph({directed: true, compound: false}), sourceReferences = new Map()) {
+  constructor(
+      entrypoint,
+      graph = new graphlib.Graph({directed: true, compound: false}),
+      sourceReferences = new Map(),
+      importSpecifiers = new Map(),
+      chunkNames = new Map(),
+      chunksLoadedTogether = new Map()) {
     this.#graph = graph;
     this.#entrypoint = entrypoint;
     this.#sourceReferences = sourceReferences;
+    this.#importSpecifiers = importSpecifiers;
+    this.#chunkNames = chunkNames;
+    this.#chunksLoadedTogether = chunksLoadedTogether;
   }
 
   /** @type {string} */
@@ -44,6 +123,248 @@ export default class ChunkGraph {
     return this.#graph;
   }
 
+  /**
+   * Files which directly import each source file
+   *
+   * @return {!Map<string, !Set<string>>}
+   */
+  get sourceReferences() {
+    return this.#sourceReferences;
+  }
+
+  /**
+   * Module specifiers used in dynamic imports of each chunk entrypoint
+   *
+   * @return {!Map<string, !Set<string>>}
+   */
+  get importSpecifiers() {
+    return this.#importSpecifiers;
+  }
+
+  /**
+   * Output names requested for chunks, keyed by chunk entrypoint
+   *
+   * @return {!Map<string, string>}
+   */
+  get chunkNames() {
+    return this.#chunkNames;
+  }
+
+  /**
+   * Hashes used by the content-hash naming style, keyed by chunk entrypoint. Empty until calculateContentHashes is
+   * called.
+   *
+   * @return {!Map<string, string>}
+   */
+  get contentHashes() {
+    return this.#contentHashes;
+  }
+
+  /**
+   * Chunks which every import of a chunk loads along with it, such as those imported together with Promise.all
+   *
+   * @return {!Map<string, !Set<string>>}
+   */
+  get chunksLoadedTogether() {
+    return this.#chunksLoadedTogether;
+  }
+
+  /**
+   * Entrypoints of the chunks removed by mergeChunks, with the chunk now containing each of them
+   *
+   * @return {!Map<string, string>}
+   */
+  get mergedChunks() {
+    return this.#mergedChunks;
+  }
+
+  /**
+   * Merges skipped by mergeChunks because they would make the dependency graph circular
+   *
+   * @return {!Array<!Diagnostic>}
+   */
+  get mergeDiagnostics() {
+    return this.#mergeDiagnostics;
+  }
+
+  /**
+   * Chunks renamed by the last call to getClosureCompilerFlags because their name was already taken
+   *
+   * @return {!Array<!Diagnostic>}
+   */
+  get namingDiagnostics() {
+    return this.#namingDiagnostics;
+  }
+
+  /**
+   * Merge chunks which are too small to be worth a separate request. Run after the graph is normalized.
+   *
+   * Sibling chunks are merged first when they always load together: every import of each is passed to
+   * Promise.all along with the other. Then, starting from the chunks loaded last, each chunk within the thresholds
+   * is merged into its immediate dominator, the lowest chunk which loads before it on every path from the
+   * entrypoint. Only chunks split off from import() calls are merged.
+   *
+   * A merge which would make the dependency graph circular is skipped and reported in mergeDiagnostics. The
+   * dependency graph is only rebuilt after a merge changes it, and the dominator tree is updated in place.
+   *
+   * @param {!ChunkMergeOptions} mergeOptions
+   * @return {!Promise<!Map<string, string>>} every chunk merged so far, as returned by mergedChunks
+   */
+  async mergeChunks(mergeOptions) {
+    const {maxSources, maxSize, siblings = false} = mergeOptions;
+    const sourceSizes = maxSize === undefined ? new Map() : await ChunkGraph.#readSourceSizes(this.#graph);
+    /** @param {string} chunkName */
+    const isImportTarget = (chunkName) =>
+        this.#graph.hasNode(chunkName) && chunkName !== this.entrypoint && this.#importSpecifiers.has(chunkName);
+    /** @param {string} chunkName */
+    const loadedWith = (chunkName) => this.#chunksLoadedTogether.get(chunkName) || new Set();
+    /** @type {?graphlib.Graph} */
+    let dependencyGraph = null;
+    /**
+     * @param {string} chunkName
+     * @param {string} into
+     * @return {boolean} whether the chunk was merged
+     */
+    const merge = (chunkName, into) => {
+      if (!dependencyGraph) {
+        dependencyGraph = this.toDependencyGraph();
+      }
+      if (!this.#mergeChunk(chunkName, into, dependencyGraph)) {
+        this.#mergeDiagnostics.push(new Diagnostic({
+          code: DIAGNOSTIC_CODE.CHUNK_MERGE_SKIPPED,
+          severity: SEVERITY.INFO,
+          message: `Chunk ${path.relative(process.cwd(), chunkName)} was not merged into ` +
+              `${path.relative(process.cwd(), into)} because the chunk dependencies would become circular`,
+          file: chunkName
+        }));
+        return false;
+      }
+      dependencyGraph = null;
+      return true;
+    };
+
+    if (siblings) {
+      // Siblings are merged into the first of them found. Either order of a pair creates the same cycles, so a pair
+      // which cannot be merged is not tried again in the other order.
+      const visitedChunks = new Set();
+      this.#graph.nodes().forEach((chunkName) => {
+        if (!isImportTarget(chunkName)) {
+          return;
+        }
+        visitedChunks.add(chunkName);
+        loadedWith(chunkName).forEach((sibling) => {
+          if (!visitedChunks.has(sibling) && isImportTarget(sibling) && loadedWith(sibling).has(chunkName)) {
+            merge(sibling, chunkName);
+          }
+        });
+      });
+    }
+
+    if (maxSources === undefined && maxSize === undefined) {
+      return this.#mergedChunks;
+    }
+    /** @param {string} chunkName */
+    const withinThresholds = (chunkName) => {
+      const {sources} = this.#graph.node(chunkName);
+      if (maxSources !== undefined && sources.size <= maxSources) {
+        return true;
+      }
+      let size = 0;
+      sources.forEach((source) => {
+        size += sourceSizes.get(source) || 0;
+      });
+      return maxSize !== undefined && size <= maxSize;
+    };
+    // Merging the chunks loaded last first lets a chain of small chunks collapse into a single ancestor. Order by
+    // the load graph, as the dependency graph is not yet known to be free of cycles.
+    const dominatorTree = new DominatorTree(this.entrypoint, this.#graph);
+    graphlib.alg.postorder(this.#graph, this.#graph.sources()).forEach((chunkName) => {
+      if (!isImportTarget(chunkName) || !withinThresholds(chunkName)) {
+        return;
+      }
+      const [, immediateDominator] = dominatorTree.commonDominators([chunkName]);
+      if (immediateDominator !== undefined && merge(chunkName, immediateDominator)) {
+        dominatorTree.mergeIntoImmediateDominator(chunkName);
+      }
+    });
+    return this.#mergedChunks;
+  }
+
+  /**
+   * Move the sources of a chunk into another chunk and remove it from the graph. Children of the merged chunk
+   * become children of the chunk it was merged into.
+   *
+   * @param {string} chunkName
+   * @param {string} into
+   * @param {!graphlib.Graph} dependencyGraph dependency graph of the chunks before the merge
+   * @return {boolean} false when the merge would make the dependency graph circular
+   */
+  #mergeChunk(chunkName, into, dependencyGraph) {
+    // Combining the chunks creates a cycle when either one depends on the other through a third chunk
+    const successors = (nodeName, excluded) =>
+        dependencyGraph.successors(nodeName).filter((successor) => successor !== excluded);
+    if (isReachable(dependencyGraph, successors(chunkName, into), into) ||
+        isReachable(dependencyGraph, successors(into, chunkName), chunkName)) {
+      return false;
+    }
+
+    /** @type {!GraphNode} */
+    const chunk = this.#graph.node(chunkName);
+    /** @type {!GraphNode} */
+    const intoChunk = this.#graph.node(into);
+    chunk.sources.forEach((source) => intoChunk.sources.add(source));
+    chunk.deps.forEach((dep) => intoChunk.deps.add(dep));
+    chunk.childChunks.forEach((childChunk) => intoChunk.childChunks.add(childChunk));
+    this.#graph.inEdges(chunkName).forEach(({v: parent}) => {
+      if (!isReachable(this.#graph, [into], parent)) {
+        this.#graph.setEdge(parent, into);
+      }
+    });
+    this.#graph.outEdges(chunkName).forEach(({w: child}) => {
+      if (child !== into && !isReachable(this.#graph, [child], into)) {
+        this.#graph.setEdge(into, child);
+      }
+    });
+    this.#graph.removeNode(chunkName);
+
+    this.#mergedChunks.forEach((mergedInto, mergedChunk) => {
+      if (mergedInto === chunkName) {
+        this.#mergedChunks.set(mergedChunk, into);
+      }
+    });
+    this.#mergedChunks.set(chunkName, into);
+    return true;
+  }
+
+  /**
+   * Hash the sources of each chunk for the content-hash naming style. The hash covers the sorted paths of the
+   * sources relative to the base directory, so it is the same in every checkout. When file contents are included,
+   * the hash changes whenever a source of the chunk changes.
+   *
+   * @param {string=} baseDirectory
+   * @param {boolean=} includeContents
+   * @return {!Promise<!Map<string, string>>}
+   */
+  async calculateContentHashes(baseDirectory = process.cwd(), includeContents = false) {
+    const dependencyGraph = this.toDependencyGraph();
+    const contentHashes = new Map();
+    for (const chunkName of dependencyGraph.nodes()) {
+      const sources = Array.from(dependencyGraph.node(chunkName).sources)
+          .map((filepath) => ({filepath, relativePath: path.relative(baseDirectory, filepath)}))
+          .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+      const hash = crypto.createHash('sha256');
+      for (const {filepath, relativePath} of sources) {
+        hash.update(`${relativePath}\0`);
+        if (includeContents) {
+          hash.update(`${await ChunkGraph.fsAdapter.readFile(filepath, 'utf8')}\0`);
+        }
+      }
+      contentHashes.set(chunkName, hash.digest('hex').slice(0, 12));
+    }
+    this.#contentHashes = contentHashes;
+    return contentHashes;
+  }
+
   /**
    * Convert the chunk load order graph to a dependency graph compatible with closure-compiler.
    *
@@ -56,6 +377,10 @@ export default class ChunkGraph {
       node.sources.forEach((source) => {
         sourceNodes.set(source, nodeName);
       });
+      // Chunks which depend on a synthetic chunk reference it by name since it has no entrypoint file
+      if (node.synthetic) {
+        sourceNodes.set(nodeName, nodeName);
+      }
     });
     const dependencyGraph = new graphlib.Graph({compound: false, directed: true});
 
@@ -101,82 +426,229 @@ export default class ChunkGraph {
   }
 
   /**
-   * Build the chunk and sources arguments for closure-compiler. Both are lists in dependency order.
+   * Order the chunks so that every chunk follows all of its parents in the dependency graph. This is the order in
+   * which chunks are passed to closure-compiler.
    *
-   * @param {string=} namePrefix
-   * @param {!NAMING_STYLE=} namingStyle
-   * @return {{sources: !Array<string>, chunk: !Array<string>}}
+   * @param {!graphlib.Graph=} dependencyGraph result of toDependencyGraph
+   * @return {!Array<string>}
    */
-  getClosureCompilerFlags(namePrefix = '', namingStyle = NAMING_STYLE.ENTRYPOINT) {
-    const closureGraph = this.toDependencyGraph();
-    const cycles = graphlib.alg.findCycles(closureGraph);
+  getChunkLoadOrder(dependencyGraph = this.toDependencyGraph()) {
+    const cycles = graphlib.alg.findCycles(dependencyGraph);
     if (cycles.length > 0) {
-      throw new Error(`Circular references found in chunk graph. \n${JSON.stringify(cycles, null, 2)}`);
+      const message = `Circular references found in chunk graph. \n${JSON.stringify(cycles, null, 2)}`;
+      throw new DiagnosticError(message, cycles.map((cycle) => new Diagnostic({
+        code: DIAGNOSTIC_CODE.CIRCULAR_CHUNK_REFERENCE,
+        message: `Circular reference between chunks ${JSON.stringify(cycle)}`,
+        file: cycle[0],
+        importChain: cycle.slice(1)
+      })));
     }
 
-    const chunks = [];
-    const sources = []
+    const sortedChunks = graphlib.alg.topsort(dependencyGraph, this.entrypoint);
+    const orderedChunks = [];
     const visitedChunks = new Set();
-    let sortedChunks;
-    if (cycles.length === 0) {
-      sortedChunks = graphlib.alg.topsort(closureGraph, this.entrypoint);
-    } else {
-      sortedChunks = closureGraph.nodes();
-      const entrypointIndex = sortedChunks.indexOf(this.entrypoint);
-      sortedChunks.splice(entrypointIndex, 1);
-      sortedChunks.unshift(this.entrypoint);
-    }
-    const errors = [];
-    let sourceCount = 0;
-    const getOutputChunkName = outputChunkNaming(this.entrypoint, namePrefix, namingStyle);
     while(sortedChunks.length > 0) {
       let {length} = sortedChunks;
       for (let i = 0; i < sortedChunks.length; i++) {
         const chunkName = sortedChunks[i];
-        /** @type {!GraphNode} */
-        const chunk = closureGraph.node(chunkName);
-        const parents = closureGraph.inEdges(chunkName).map(edge => edge.v);
-        if (cycles.length === 0) {
-          const visitedParents = parents.filter(parent => visitedChunks.has(parent));
-          if (visitedParents.length !== parents.length) {
-            continue;
-          }
-        }
-        if (!chunk.sources.has(chunkName)) {
-          const relativePathName = path.relative(process.cwd(), chunkName);
-          const referencingChunks = Array.from(this.#sourceReferences.get(chunkName) || []);
-          errors.push(`Chunk entrypoint ${relativePathName} not found in chunk sources. ` +
-              `Ensure that all imports of ${relativePathName} are dynamic. ` +
-              `Referenced in: ${JSON.stringify(referencingChunks, null, 2)}`);
+        const parents = dependencyGraph.inEdges(chunkName).map(edge => edge.v);
+        const visitedParents = parents.filter(parent => visitedChunks.has(parent));
+        if (visitedParents.length !== parents.length) {
+          continue;
         }
-        sourceCount += chunk.sources.length;
         visitedChunks.add(chunkName);
-        const chunkDefParts = [getOutputChunkName(chunkName), chunk.sources.size];
-        if (parents.length > 0) {
-          chunkDefParts.push(parents.map(getOutputChunkName).join(','));
-        }
-        chunks.push(chunkDefParts.join(':'));
-        sources.push(...chunk.sources);
+        orderedChunks.push(chunkName);
         sortedChunks.splice(i, 1);
         break;
       }
       if (length === sortedChunks.length) {
-        throw new Error(`Unable to sort chunks: ${JSON.stringify(sortedChunks, null, 2)}`);
+        const message = `Unable to sort chunks: ${JSON.stringify(sortedChunks, null, 2)}`;
+        throw new DiagnosticError(message, [new Diagnostic({code: DIAGNOSTIC_CODE.UNSORTABLE_CHUNKS, message})]);
       }
     }
+    return orderedChunks;
+  }
+
+  /**
+   * Build the chunk and sources arguments for closure-compiler. Both are lists in dependency order.
+   *
+   * When a chunk wrapper template is provided, a chunk_wrapper argument is built for every chunk. The "%s"
+   * placeholder is left for closure-compiler to replace with the chunk code. "%chunkName%" is replaced with the
+   * output chunk name and "%parents%" with a comma separated list of the output names of the parent chunks.
+   *
+   * @param {string=} namePrefix
+   * @param {!NAMING_STYLE=} namingStyle
+   * @param {string=} chunkWrapperTemplate
+   * @param {string=} chunkOutputPathPrefix
+   * @return {{
+   *   chunk: !Array<string>,
+   *   chunk_wrapper: (!Array<string>|undefined),
+   *   chunk_output_path_prefix: (string|undefined),
+   *   js: !Array<string>
+   * }}
+   */
+  getClosureCompilerFlags(
+      namePrefix = '',
+      namingStyle = NAMING_STYLE.ENTRYPOINT,
+      chunkWrapperTemplate = undefined,
+      chunkOutputPathPrefix = undefined) {
+    const closureGraph = this.toDependencyGraph();
+    const chunks = [];
+    const chunkWrappers = [];
+    const sources = []
+    const errors = [];
+    this.#namingDiagnostics = [];
+    const getOutputChunkName = outputChunkNaming(
+        this.entrypoint, namePrefix, namingStyle, this.#chunkNames, this.#contentHashes, this.#namingDiagnostics);
+    this.getChunkLoadOrder(closureGraph).forEach((chunkName) => {
+      /** @type {!GraphNode} */
+      const chunk = closureGraph.node(chunkName);
+      const parents = closureGraph.inEdges(chunkName).map(edge => edge.v);
+      if (!chunk.sources.has(chunkName) && !chunk.synthetic) {
+        const relativePathName = path.relative(process.cwd(), chunkName);
+        const referencingChunks = Array.from(this.#sourceReferences.get(chunkName) || []);
+        errors.push(new Diagnostic({
+          code: DIAGNOSTIC_CODE.CHUNK_ENTRYPOINT_NOT_IN_SOURCES,
+          message: `Chunk entrypoint ${relativePathName} not found in chunk sources. ` +
+              `Ensure that all imports of ${relativePathName} are dynamic. ` +
+              `Referenced in: ${JSON.stringify(referencingChunks, null, 2)}`,
+          file: chunkName
+        }));
+      }
+      const outputChunkName = getOutputChunkName(chunkName);
+      const parentOutputChunkNames = parents.map(getOutputChunkName).join(',');
+      const chunkDefParts = [outputChunkName, chunk.sources.size];
+      if (parents.length > 0) {
+        chunkDefParts.push(parentOutputChunkNames);
+      }
+      chunks.push(chunkDefParts.join(':'));
+      if (chunkWrapperTemplate !== undefined) {
+        const wrapper = chunkWrapperTemplate
+            .replace(/%chunkName%/g, outputChunkName)
+            .replace(/%parents%/g, parentOutputChunkNames);
+        chunkWrappers.push(`${outputChunkName}:${wrapper}`);
+      }
+      sources.push(...chunk.sources);
+    });
     if (errors.length > 0) {
-      throw new Error(`Invalid chunk definitions:\n${errors.join('\n')}`);
+      throw new DiagnosticError(
+          `Invalid chunk definitions:\n${errors.map(({message}) => message).join('\n')}`,
+          errors);
     }
 
+    const closureCompilerFlags = {
+      chunk: chunks
+    };
+    if (chunkWrapperTemplate !== undefined) {
+      closureCompilerFlags.chunk_wrapper = chunkWrappers;
+    }
+    if (chunkOutputPathPrefix !== undefined) {
+      closureCompilerFlags.chunk_output_path_prefix = chunkOutputPathPrefix;
+    }
+    closureCompilerFlags.js = sources;
+    return closureCompilerFlags;
+  }
+
+  /**
+   * Serialize the graph so that it can be stored and later recreated with ChunkGraph.fromJSON without walking the
+   * source tree again. Node and edge order is preserved.
+   *
+   * @return {{
+   *   entrypoint: string,
+   *   nodes: !Array<!Object>,
+   *   edges: !Array<!Array<string>>,
+   *   sourceReferences: !Array<!Array<string|!Array<string>>>,
+   *   importSpecifiers: !Array<!Array<string|!Array<string>>>,
+   *   chunkNames: !Array<!Array<string>>,
+   *   contentHashes: !Array<!Array<string>>,
+   *   chunksLoadedTogether: !Array<!Array<string|!Array<string>>>,
+   *   mergedChunks: !Array<!Array<string>>
+   * }}
+   */
+  toJSON() {
+    /** @param {!Map<string, !Set<string>>} map */
+    const mapToJSON = (map) => Array.from(map).map(([key, values]) => [key, Array.from(values)]);
     return {
-      chunk: chunks,
-      js: sources
+      entrypoint: this.entrypoint,
+      nodes: this.graph.nodes().map((nodeName) => this.graph.node(nodeName).toJSON()),
+      edges: this.graph.edges().map(({v, w}) => [v, w]),
+      sourceReferences: mapToJSON(this.#sourceReferences),
+      importSpecifiers: mapToJSON(this.#importSpecifiers),
+      chunkNames: Array.from(this.#chunkNames),
+      contentHashes: Array.from(this.#contentHashes),
+      chunksLoadedTogether: mapToJSON(this.#chunksLoadedTogether),
+      mergedChunks: Array.from(this.#mergedChunks)
     };
   }
 
+  /**
+   * Recreate a graph from the result of toJSON.
+   *
+   * @param {!Object} json
+   * @return {!ChunkGraph}
+   */
+  static fromJSON(json) {
+    /** @param {!Array<!Array<string|!Array<string>>>} entries */
+    const mapFromJSON = (entries) => new Map(entries.map(([key, values]) => [key, new Set(values)]));
+    const graph = new graphlib.Graph({directed: true, compound: false});
+    json.nodes.forEach((node) => graph.setNode(node.name, GraphNode.fromJSON(node)));
+    json.edges.forEach(([parent, child]) => graph.setEdge(parent, child));
+    const chunkGraph = new this(
+        json.entrypoint,
+        graph,
+        mapFromJSON(json.sourceReferences),
+        mapFromJSON(json.importSpecifiers),
+        new Map(json.chunkNames),
+        mapFromJSON(json.chunksLoadedTogether || []));
+    chunkGraph.#contentHashes = new Map(json.contentHashes || []);
+    chunkGraph.#mergedChunks = new Map(json.mergedChunks || []);
+    return chunkGraph;
+  }
+
+  /**
+   * Create the dependency finder used to build chunk graphs. A finder retains the dependencies of every file it
+   * parses, so reusing one across builds avoids parsing unchanged files again.
+   *
+   * @param {!Array<string>=} packageJsonEntryNames prefence order of fields to look for in package.json files for the main file
+   * @param {string=} baseDirectory root directory of application
+   * @param {string=} googBasePath path to closure library base.js
+   * @param {!Map<string, string>=} googDepsMap map of closure library provided namespace to filepath
+   * @param {!Array<string>=} packageJsonConditions conditions to match in package.json "exports" and "imports" maps
+   * @param {?string=} cacheDirectory directory used to persist parsed dependencies between runs
+   * @param {!Map<string, !GoogDependency>=} googDependencies deps file entries keyed by filepath. Listed files are
+   *     not parsed unless they are ES modules.
+   * @param {?ModuleResolver=} resolver consulted before the default module resolution
+   * @param {!Map<string, !Array<string>>=} packageJsonEntryNameOverrides package.json entry names keyed by package name
+   * @return {!DepsFinder}
+   */
+  static createDepsFinder(
+      packageJsonEntryNames = ['browser', 'module', 'main'],
+      baseDirectory = process.cwd(),
+      googBasePath = process.cwd(),
+      googDepsMap = new Map(),
+      packageJsonConditions = ['browser', 'import', 'default'],
+      cacheDirectory = null,
+      googDependencies = new Map(),
+      resolver = null,
+      packageJsonEntryNameOverrides = new Map()) {
+    return new DepsFinder(
+        packageJsonEntryNames,
+        baseDirectory,
+        googBasePath,
+        googDepsMap,
+        this.fsAdapter,
+        packageJsonConditions,
+        this.parsers,
+        cacheDirectory,
+        googDependencies,
+        resolver,
+        packageJsonEntryNameOverrides);
+  }
+
   /**
    * Build the chunk graph from a set of entrypoints. The first entrypoint is the primary entrypoint. Additional
-   * entrypoints are added as children of the primary entrypoint.
+   * entrypoints are added as children of the primary entrypoint. A primary entrypoint without files is an empty
+   * synthetic chunk, so that the additional entrypoints are independent roots which only share its descendants.
    *
    * @param {!Array<{name:string, files: !Array<string>}>} entrypoints paths from which to start building the graph.
    *     The first entry is the primary entrypoint.
@@ -185,6 +657,13 @@ export default class ChunkGraph {
    * @param {string=} baseDirectory root directory of application
    * @param {string=} googBasePath path to closure library base.js
    * @param {!Map<string, string>=} googDepsMap map of closure library provided namespace to filepath
+   * @param {!Array<string>=} packageJsonConditions conditions to match in package.json "exports" and "imports" maps
+   * @param {?string=} cacheDirectory directory used to persist parsed dependencies between runs
+   * @param {?SharedChunkThresholds=} sharedChunkThresholds extract shared sources over these thresholds into
+   *     shared chunks
+   * @param {!Map<string, !GoogDependency>=} googDependencies deps file entries keyed by filepath
+   * @param {?ModuleResolver=} resolver consulted before the default module resolution
+   * @param {!Map<string, !Array<string>>=} packageJsonEntryNameOverrides package.json entry names keyed by package name
    * @return {!ChunkGraph}
    */
   static async buildFromEntrypoints(
@@ -193,10 +672,44 @@ export default class ChunkGraph {
       packageJsonEntryNames = ['browser', 'module', 'main'],
       baseDirectory = process.cwd(),
       googBasePath = process.cwd(),
-      googDepsMap = new Map()) {
-    const depFinder = new DepsFinder(packageJsonEntryNames, baseDirectory, googBasePath, googDepsMap, this.fsAdapter);
+      googDepsMap = new Map(),
+      packageJsonConditions = ['browser', 'import', 'default'],
+      cacheDirectory = null,
+      sharedChunkThresholds = null,
+      googDependencies = new Map(),
+      resolver = null,
+      packageJsonEntryNameOverrides = new Map()) {
+    const depFinder = this.createDepsFinder(
+        packageJsonEntryNames,
+        baseDirectory,
+        googBasePath,
+        googDepsMap,
+        packageJsonConditions,
+        cacheDirectory,
+        googDependencies,
+        resolver,
+        packageJsonEntryNameOverrides);
+    return this.buildWithDepsFinder(depFinder, entrypoints, manualEntrypoints, sharedChunkThresholds);
+  }
+
+  /**
+   * Build the chunk graph from a set of entrypoints using an existing dependency finder.
+   *
+   * @param {!DepsFinder} depFinder
+   * @param {!Array<{name:string, files: !Array<string>}>} entrypoints paths from which to start building the graph.
+   *     The first entry is the primary entrypoint.
+   * @param {!Array<{parent: string, child: {name: string, files: !Array<string>}}>=} manualEntrypoints additional files to be manually added.
+   * @param {?SharedChunkThresholds=} sharedChunkThresholds extract shared sources over these thresholds into
+   *     shared chunks. Source sizes are read when a size threshold is given.
+   * @return {!ChunkGraph}
+   */
+  static async buildWithDepsFinder(depFinder, entrypoints, manualEntrypoints = [], sharedChunkThresholds = null) {
+    depFinder.clearDependenciesToHoist();
     let graphData = await depFinder.fromEntryPoints(entrypoints, manualEntrypoints);
     const sourceReferences = new Map();
+    const importSpecifiers = new Map();
+    /** @type {!Map<string, !Set<string>>} */
+    const chunksLoadedTogether = new Map();
     depFinder.fileDependencies.forEach((node, filename) => {
       node.deps.forEach((dep) => {
         let references = sourceReferences.get(dep);
@@ -206,9 +719,53 @@ export default class ChunkGraph {
         }
         references.add(filename);
       });
+      node.childChunkSpecifiers.forEach((specifiers, childChunkFile) => {
+        // Files combined into a single chunk share the specifiers of the chunk
+        const childChunk = graphData.groupedChunks.get(childChunkFile) || childChunkFile;
+        let chunkSpecifiers = importSpecifiers.get(childChunk);
+        if (!chunkSpecifiers) {
+          chunkSpecifiers = new Set();
+          importSpecifiers.set(childChunk, chunkSpecifiers);
+        }
+        specifiers.forEach((specifier) => chunkSpecifiers.add(specifier));
+      });
+      // Chunks are only loaded together when each file which imports one always loads the others with it
+      node.childChunks.forEach((childChunkFile) => {
+        const childChunk = graphData.groupedChunks.get(childChunkFile) || childChunkFile;
+        const fileLoadedWith = new Set(Array.from(node.childChunksLoadedTogether.get(childChunkFile) || [])
+            .map((chunk) => graphData.groupedChunks.get(chunk) || chunk)
+            .filter((chunk) => chunk !== childChunk));
+        const loadedWith = chunksLoadedTogether.get(childChunk);
+        if (!loadedWith) {
+          chunksLoadedTogether.set(childChunk, fileLoadedWith);
+        } else {
+          loadedWith.forEach((chunk) => {
+            if (!fileLoadedWith.has(chunk)) {
+              loadedWith.delete(chunk);
+            }
+          });
+        }
+      });
+    });
+    chunksLoadedTogether.forEach((loadedWith, chunk) => {
+      if (loadedWith.size === 0) {
+        chunksLoadedTogether.delete(chunk);
+      }
     });
-    let chunkGraph = new this(graphData.entrypoint, graphData.graph, sourceReferences);
-    const dependenciesToHoist = normalizeGraph(chunkGraph.entrypoint, chunkGraph.graph);
+    let chunkGraph = new this(
+        graphData.entrypoint,
+        graphData.graph,
+        sourceReferences,
+        importSpecifiers,
+        graphData.chunkNames,
+        chunksLoadedTogether);
+    if (sharedChunkThresholds && sharedChunkThresholds.minSize !== undefined) {
+      sharedChunkThresholds = {
+        ...sharedChunkThresholds,
+        sourceSizes: await ChunkGraph.#readSourceSizes(chunkGraph.graph)
+      };
+    }
+    const dependenciesToHoist = normalizeGraph(chunkGraph.entrypoint, chunkGraph.graph, sharedChunkThresholds);
     let graphNeedsRebuilt = false;
     dependenciesToHoist.forEach((sources) => {
       if (sources.length > 0) {
@@ -218,9 +775,31 @@ export default class ChunkGraph {
     if (graphNeedsRebuilt) {
       depFinder.addDependenciesToHoist(dependenciesToHoist);
       graphData = await depFinder.fromEntryPoints(entrypoints, manualEntrypoints);
-      chunkGraph = new this(graphData.entrypoint, graphData.graph, sourceReferences);
-      normalizeGraph(chunkGraph.entrypoint, chunkGraph.graph);
+      chunkGraph = new this(
+          graphData.entrypoint,
+          graphData.graph,
+          sourceReferences,
+          importSpecifiers,
+          graphData.chunkNames,
+          chunksLoadedTogether);
+      normalizeGraph(chunkGraph.entrypoint, chunkGraph.graph, sharedChunkThresholds);
     }
     return chunkGraph;
   }
+
+  /**
+   * @param {!graphlib.Graph} graph
+   * @return {!Promise<!Map<string, number>>} size in bytes of every dependency of the graph
+   */
+  static async #readSourceSizes(graph) {
+    const sourceSizes = new Map();
+    for (const nodeName of graph.nodes()) {
+      for (const dep of graph.node(nodeName).deps) {
+        if (!sourceSizes.has(dep)) {
+          sourceSizes.set(dep, Buffer.byteLength(await ChunkGraph.fsAdapter.readFile(dep, 'utf8'), 'utf8'));
+        }
+      }
+    }
+    return sourceSizes;
+  }
 }
@@ -0,0 +1,73 @@
+import ChunkGraph from './chunk-graph.js';
+import {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
+
+/**
+ * Build a manifest for runtime loaders. For each chunk entrypoint, the manifest lists the specifiers used to
+ * dynamically import it, the output chunk name, every chunk which must be loaded before it in load order and
+ * the sources it contains.
+ *
+ * Chunks removed by ChunkGraph#mergeChunks are listed under mergedChunks with the entrypoint of the chunk now
+ * containing them. The specifiers used to import a merged chunk are listed with the chunk containing it, so that
+ * every import() target still resolves to a chunk.
+ *
+ * @param {!ChunkGraph} chunkGraph
+ * @param {string=} namePrefix
+ * @param {!NAMING_STYLE=} namingStyle
+ * @return {{
+ *   entrypoint: string,
+ *   chunks: !Object<string, {
+ *     name: string,
+ *     specifiers: !Array<string>,
+ *     parents: !Array<string>,
+ *     sources: !Array<string>
+ *   }>,
+ *   mergedChunks: !Object<string, string>
+ * }}
+ */
+export default function buildChunkManifest(chunkGraph, namePrefix = '', namingStyle = NAMING_STYLE.ENTRYPOINT) {
+  const dependencyGraph = chunkGraph.toDependencyGraph();
+  const loadOrder = chunkGraph.getChunkLoadOrder(dependencyGraph);
+  const getOutputChunkName = outputChunkNaming(
+      chunkGraph.entrypoint, namePrefix, namingStyle, chunkGraph.chunkNames, chunkGraph.contentHashes);
+  // Name the chunks in load order so that numbered names match those of getClosureCompilerFlags
+  loadOrder.forEach(getOutputChunkName);
+
+  /** @type {!Map<string, !Set<string>>} */
+  const specifiersByChunk = new Map();
+  chunkGraph.importSpecifiers.forEach((specifiers, chunkName) => {
+    const containingChunk = chunkGraph.mergedChunks.get(chunkName) || chunkName;
+    const chunkSpecifiers = specifiersByChunk.get(containingChunk) || new Set();
+    specifiers.forEach((specifier) => chunkSpecifiers.add(specifier));
+    specifiersByChunk.set(containingChunk, chunkSpecifiers);
+  });
+
+  /** @type {!Map<string, !Set<string>>} */
+  const ancestorsByChunk = new Map();
+  const chunks = {};
+  loadOrder.forEach((chunkName) => {
+    // Parents always precede their children in load order, so their ancestors are already known
+    const ancestors = new Set();
+    dependencyGraph.inEdges(chunkName).forEach(({v: parent}) => {
+      ancestors.add(parent);
+      ancestorsByChunk.get(parent).forEach((ancestor) => ancestors.add(ancestor));
+    });
+    ancestorsByChunk.set(chunkName, ancestors);
+
+    chunks[chunkName] = {
+      name: getOutputChunkName(chunkName),
+      specifiers: Array.from(specifiersByChunk.get(chunkName) || []).sort(),
+      parents: loadOrder.filter((loadedChunk) => ancestors.has(loadedChunk)).map(getOutputChunkName),
+      sources: Array.from(dependencyGraph.node(chunkName).sources)
+    };
+  });
+
+  const mergedChunks = {};
+  chunkGraph.mergedChunks.forEach((containingChunk, chunkName) => {
+    mergedChunks[chunkName] = containingChunk;
+  });
+  return {
+    entrypoint: chunkGraph.entrypoint,
+    chunks,
+    mergedChunks
+  };
+}
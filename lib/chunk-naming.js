@@ -1,38 +1,110 @@
 import path from 'path';
+import {Diagnostic, DIAGNOSTIC_CODE, SEVERITY} from './diagnostics.js';
 
 /** @enum {string} */
 export const NAMING_STYLE = {
   ENTRYPOINT: 'entrypoint',
-  NUMBERED: 'numbered'
+  NUMBERED: 'numbered',
+  CONTENT_HASH: 'content-hash'
 };
 
 /**
+ * Names requested for chunks take precedence over the naming style. The final names of all requested chunks are
+ * reserved before any name is generated, so generated names never collide with requested names. A name which is
+ * already taken gets a numeric suffix.
+ *
+ * With the content-hash naming style, every chunk is named by its hash and a requested name becomes a readable
+ * prefix of the hash. Hashes are calculated ahead of time with ChunkGraph#calculateContentHashes.
+ *
  * @param {string} entrypoint
  * @param {string=} namePrefix
  * @param {!NAMING_STYLE=} namingStyle
+ * @param {!Map<string, string>=} chunkNames names requested for chunks keyed by chunk entrypoint
+ * @param {!Map<string, string>=} contentHashes hash of each chunk keyed by chunk entrypoint
+ * @param {!Array<!Diagnostic>=} diagnostics receives a warning for each chunk renamed to avoid a clash
  * @return {function(string): string}
  */
-export const outputChunkNaming = (entrypoint, namePrefix = '', namingStyle = NAMING_STYLE.ENTRYPOINT) => {
+export const outputChunkNaming = (
+    entrypoint,
+    namePrefix = '',
+    namingStyle = NAMING_STYLE.ENTRYPOINT,
+    chunkNames = new Map(),
+    contentHashes = new Map(),
+    diagnostics = []) => {
   let chunkNameIndex = 0;
   const outputChunkNames = new Map();
   const usedNames = new Set();
+  const requestedNames = new Set();
+  /**
+   * @param {string} chunkName
+   * @param {string} name
+   * @param {string} outputChunkName
+   */
+  const reportClash = (chunkName, name, outputChunkName) => {
+    diagnostics.push(new Diagnostic({
+      code: DIAGNOSTIC_CODE.CONFLICTING_CHUNK_NAMES,
+      severity: SEVERITY.WARNING,
+      message: `Chunk name "${name}" is already taken, using "${outputChunkName}"`,
+      file: chunkName
+    }));
+  };
+  /**
+   * @param {string} chunkName
+   * @param {string} name
+   */
+  const assignName = (chunkName, name) => {
+    let outputChunkName = name;
+    for (let suffix = 1; usedNames.has(outputChunkName); suffix++) {
+      outputChunkName = name + suffix;
+    }
+    // Generated names which clash with each other are expected with the entrypoint naming style
+    if (outputChunkName !== name && (chunkNames.has(chunkName) || requestedNames.has(name))) {
+      reportClash(chunkName, name, outputChunkName);
+    }
+    usedNames.add(outputChunkName);
+    outputChunkNames.set(chunkName, outputChunkName);
+  };
+
+  if (namingStyle !== NAMING_STYLE.CONTENT_HASH) {
+    // Chunks which get their requested name exactly are reserved first so that a suffixed name can't take it
+    const renamedChunks = [];
+    chunkNames.forEach((name, chunkName) => {
+      if (requestedNames.has(namePrefix + name)) {
+        renamedChunks.push(chunkName);
+      } else {
+        requestedNames.add(namePrefix + name);
+        usedNames.add(namePrefix + name);
+        outputChunkNames.set(chunkName, namePrefix + name);
+      }
+    });
+    renamedChunks.forEach((chunkName) => assignName(chunkName, namePrefix + chunkNames.get(chunkName)));
+  }
+
   return (chunkName) => {
     if (!outputChunkNames.has(chunkName)) {
-      if (namingStyle === NAMING_STYLE.NUMBERED) {
+      if (namingStyle === NAMING_STYLE.CONTENT_HASH) {
+        if (!contentHashes.has(chunkName)) {
+          throw new Error(`No content hash calculated for chunk ${chunkName}`);
+        }
+        const readablePrefix = chunkNames.has(chunkName) ? `${chunkNames.get(chunkName)}-` : '';
+        outputChunkNames.set(chunkName, namePrefix + readablePrefix + contentHashes.get(chunkName));
+      } else if (namingStyle === NAMING_STYLE.NUMBERED) {
         if (chunkName === entrypoint) {
-          outputChunkNames.set(chunkName, `${namePrefix}main`);
+          assignName(chunkName, `${namePrefix}main`);
         } else {
-          outputChunkNames.set(chunkName, `${namePrefix}${chunkNameIndex++}`);
+          const name = `${namePrefix}${chunkNameIndex}`;
+          while (usedNames.has(`${namePrefix}${chunkNameIndex}`)) {
+            chunkNameIndex++;
+          }
+          const outputChunkName = `${namePrefix}${chunkNameIndex++}`;
+          if (outputChunkName !== name) {
+            reportClash(chunkName, name, outputChunkName);
+          }
+          usedNames.add(outputChunkName);
+          outputChunkNames.set(chunkName, outputChunkName);
         }
       } else {
-        let outputChunkName = namePrefix + path.basename(chunkName, path.extname(chunkName));
-        let proposedName = outputChunkName;
-        for (let suffix = 1; usedNames.has(proposedName); suffix++) {
-          proposedName = outputChunkName + suffix;
-        }
-        outputChunkName = proposedName;
-        usedNames.add(outputChunkName);
-        outputChunkNames.set(chunkName, outputChunkName);
+        assignName(chunkName, namePrefix + path.basename(chunkName, path.extname(chunkName)));
       }
     }
     return outputChunkNames.get(chunkName);
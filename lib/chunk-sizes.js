@@ -0,0 +1,120 @@
+import path from 'path';
+import picomatch from 'picomatch';
+import zlib from 'zlib';
+import ChunkGraph from './chunk-graph.js';
+import {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
+import {DIAGNOSTIC_CODE, Diagnostic} from './diagnostics.js';
+
+/** @enum {string} */
+export const SIZE_MEASURE = {
+  RAW: 'raw',
+  GZIP: 'gzip',
+  BROTLI: 'brotli'
+};
+
+/**
+ * Sizes in bytes of the sources of a chunk. Compressed sizes are estimates computed from the concatenated
+ * uncompiled sources.
+ *
+ * @typedef {{
+ *   raw: number,
+ *   gzip: number,
+ *   brotli: number,
+ *   files: !Array<{file: string, raw: number}>
+ * }} ChunkSize
+ */
+
+/**
+ * Maximum sizes in bytes keyed by chunk name or glob. A number limits the raw size. An object may limit any of
+ * the raw, gzip and brotli sizes.
+ *
+ * @typedef {!Object<string, (number|{raw: (number|undefined), gzip: (number|undefined), brotli: (number|undefined)})>}
+ *     SizeBudgets
+ */
+
+/**
+ * Calculate the size of each chunk in the graph from the contents of its sources.
+ *
+ * @param {!ChunkGraph} chunkGraph
+ * @return {!Promise<!Map<string, !ChunkSize>>} keyed by chunk entrypoint
+ */
+export default async function calculateChunkSizes(chunkGraph) {
+  const {graph} = chunkGraph;
+  /** @type {!Map<string, !ChunkSize>} */
+  const chunkSizes = new Map();
+  for (const chunkName of graph.nodes()) {
+    const sources = Array.from(graph.node(chunkName).sources);
+    const contents = await Promise.all(
+        sources.map((filepath) => ChunkGraph.fsAdapter.readFile(filepath, 'utf8')));
+    const chunkContents = Buffer.from(contents.join('\n'), 'utf8');
+    chunkSizes.set(chunkName, {
+      raw: chunkContents.length,
+      gzip: zlib.gzipSync(chunkContents, {level: zlib.constants.Z_BEST_COMPRESSION}).length,
+      brotli: zlib.brotliCompressSync(chunkContents).length,
+      files: sources.map((file, index) => ({file, raw: Buffer.byteLength(contents[index], 'utf8')}))
+          .sort((a, b) => b.raw - a.raw)
+    });
+  }
+  return chunkSizes;
+}
+
+/**
+ * Compare chunk sizes against their budgets. A chunk is checked against every budget whose key is its output name
+ * or a glob matching its output name. Each exceeded budget is reported with the largest files of the chunk which
+ * account for the excess.
+ *
+ * @param {!ChunkGraph} chunkGraph
+ * @param {!Map<string, !ChunkSize>} chunkSizes
+ * @param {!SizeBudgets} budgets
+ * @param {string=} namePrefix
+ * @param {!NAMING_STYLE=} namingStyle
+ * @return {!Array<!Diagnostic>}
+ */
+export function checkSizeBudgets(
+    chunkGraph, chunkSizes, budgets, namePrefix = '', namingStyle = NAMING_STYLE.ENTRYPOINT) {
+  const getOutputChunkName = outputChunkNaming(
+      chunkGraph.entrypoint, namePrefix, namingStyle, chunkGraph.chunkNames, chunkGraph.contentHashes);
+  // Name the chunks in load order so that numbered names match those of getClosureCompilerFlags
+  const loadOrder = chunkGraph.getChunkLoadOrder();
+  loadOrder.forEach(getOutputChunkName);
+
+  const matchers = Object.keys(budgets).map((pattern) => {
+    const budget = typeof budgets[pattern] === 'number' ? {raw: budgets[pattern]} : budgets[pattern];
+    return {pattern, budget, isMatch: picomatch(pattern)};
+  });
+
+  const diagnostics = [];
+  loadOrder.forEach((chunkName) => {
+    const outputChunkName = getOutputChunkName(chunkName);
+    const chunkSize = chunkSizes.get(chunkName);
+    matchers.filter(({isMatch}) => isMatch(outputChunkName)).forEach(({pattern, budget}) => {
+      Object.values(SIZE_MEASURE).forEach((measure) => {
+        const maxSize = budget[measure];
+        if (maxSize === undefined || chunkSize[measure] <= maxSize) {
+          return;
+        }
+        const excess = chunkSize[measure] - maxSize;
+        // Files are measured uncompressed, so scale the excess by the compression ratio of the whole chunk
+        const rawExcess = excess * chunkSize.raw / chunkSize[measure];
+        const culprits = [];
+        let culpritSize = 0;
+        for (const file of chunkSize.files) {
+          if (culpritSize >= rawExcess) {
+            break;
+          }
+          culprits.push(file);
+          culpritSize += file.raw;
+        }
+        const budgetName = pattern === outputChunkName ? '' : ` "${pattern}"`;
+        diagnostics.push(new Diagnostic({
+          code: DIAGNOSTIC_CODE.CHUNK_SIZE_BUDGET_EXCEEDED,
+          message: `Chunk ${outputChunkName} is ${chunkSize[measure]} bytes ${measure}, exceeding its budget` +
+              `${budgetName} of ${maxSize} bytes by ${excess}. Largest files: ` +
+              culprits.map(({file, raw}) => `${path.relative(process.cwd(), file)} (${raw} bytes)`).join(', '),
+          file: chunkName
+        }));
+      });
+    });
+  });
+  return diagnostics;
+}
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import {pathToFileURL} from 'url';
+
+/** Config files looked for in a directory, in order of preference */
+export const CONFIG_FILE_NAMES = [
+  'closure-chunks.config.js',
+  'closure-chunks.config.mjs',
+  'closure-chunks.config.json'
+];
+
+/**
+ * @param {string} directory
+ * @return {?string} path of the first config file found in the directory
+ */
+export function findConfigFile(directory) {
+  for (const configFileName of CONFIG_FILE_NAMES) {
+    const configPath = path.resolve(directory, configFileName);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+/** Options holding a path or a list of paths. A size budget may also be given as an object. */
+const PATH_OPTIONS = [
+  'root',
+  'googSourceRoot',
+  'writeDepsFile',
+  'cacheDir',
+  'output',
+  'manifest',
+  'snapshot',
+  'explain',
+  'diff',
+  'sizeBudget'
+];
+
+/** Options holding module ids, which are only paths when relative */
+const MODULE_ID_OPTIONS = ['closureLibraryBaseJsPath', 'depsFile'];
+
+/**
+ * @param {*} value a string or an array of them. Values of other types are left for validation to report.
+ * @param {function(string): *} resolve
+ * @return {*}
+ */
+function mapValues(value, resolve) {
+  const resolveString = (item) => typeof item === 'string' ? resolve(item) : item;
+  return Array.isArray(value) ? value.map(resolveString) : resolveString(value);
+}
+
+/**
+ * Resolve the relative paths of config file options against the directory of the config file. Module ids which are
+ * not relative paths are left to be resolved from the current working directory.
+ *
+ * @param {!Object} config
+ * @param {string} directory
+ * @return {!Object}
+ */
+function resolveConfigPaths(config, directory) {
+  /** @param {string} filepath */
+  const resolvePath = (filepath) => path.resolve(directory, filepath);
+  /** @param {string} moduleId */
+  const resolveModuleId = (moduleId) => /^\.\.?[\\/]/.test(moduleId) ? resolvePath(moduleId) : moduleId;
+  /** @param {string} filepaths comma separated */
+  const resolvePathList = (filepaths) => filepaths.split(',').map(resolvePath).join(',');
+  /** @param {string|!ManualEntrypointDefinition} manualEntrypoint */
+  const resolveManualEntrypoint = (manualEntrypoint) => {
+    if (typeof manualEntrypoint === 'string') {
+      const [parent, children] = manualEntrypoint.split(':');
+      return children === undefined ? manualEntrypoint : `${resolvePath(parent)}:${resolvePathList(children)}`;
+    }
+    if (!manualEntrypoint || typeof manualEntrypoint !== 'object') {
+      return manualEntrypoint;
+    }
+    return {
+      ...manualEntrypoint,
+      parent: mapValues(manualEntrypoint.parent, resolvePath),
+      files: mapValues(manualEntrypoint.files, resolvePath)
+    };
+  };
+
+  const resolvedConfig = {...config};
+  PATH_OPTIONS.filter((option) => config[option]).forEach((option) => {
+    resolvedConfig[option] = mapValues(config[option], resolvePath);
+  });
+  MODULE_ID_OPTIONS.filter((option) => config[option]).forEach((option) => {
+    resolvedConfig[option] = mapValues(config[option], resolveModuleId);
+  });
+  if (config.entrypoint) {
+    resolvedConfig.entrypoint = mapValues(config.entrypoint, resolvePathList);
+  }
+  if (config.manualEntrypoint) {
+    resolvedConfig.manualEntrypoint = Array.isArray(config.manualEntrypoint) ?
+        config.manualEntrypoint.map(resolveManualEntrypoint) :
+        resolveManualEntrypoint(config.manualEntrypoint);
+  }
+  if (config.extraDeps) {
+    resolvedConfig.extraDeps = mapValues(config.extraDeps, (dep) => {
+      const [namespace, filepath] = dep.split(':');
+      return filepath === undefined ? dep : `${namespace}:${resolveModuleId(filepath)}`;
+    });
+  }
+  return resolvedConfig;
+}
+
+/**
+ * Load the options of a config file. A .json file contains the options object. Any other file is imported as a
+ * module whose default export is either the options object or a function returning it, optionally as a promise.
+ * Options use the camelCase names of the command line flags and accept the same values as calculateChunks.
+ * Relative paths are resolved against the directory of the config file rather than the current working directory.
+ *
+ * @param {string} configPath
+ * @return {!Promise<!CalculateChunksOptions>}
+ */
+export default async function loadConfigFile(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  let config;
+  if (path.extname(resolvedPath) === '.json') {
+    try {
+      config = JSON.parse(await fs.promises.readFile(resolvedPath, 'utf8'));
+    } catch (e) {
+      throw new Error(`Unable to read config file ${configPath}: ${e.message}`);
+    }
+  } else {
+    config = (await import(pathToFileURL(resolvedPath).href)).default;
+  }
+  if (typeof config === 'function') {
+    config = await config();
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${configPath} must provide an object of options`);
+  }
+  return resolveConfigPaths(config, path.dirname(resolvedPath));
+}
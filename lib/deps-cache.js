@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import {readFileSync} from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import GraphNode from './graph-node.js';
+
+const packageJson = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+/** Incremented whenever the stored fields change, so that entries written in an older format are not read */
+const CACHE_FORMAT_VERSION = 2;
+
+/**
+ * @param {...string} parts
+ * @return {string}
+ */
+function hash(...parts) {
+  const digest = crypto.createHash('sha256');
+  parts.forEach((part) => digest.update(part).update('\0'));
+  return digest.digest('hex');
+}
+
+/**
+ * Persistent store of the dependencies found for each source file. Entries are keyed by the file path, the
+ * file contents and the resolver configuration so that unchanged files do not need to be parsed again on
+ * subsequent runs. An entry is discarded when any package.json file used to resolve its dependencies changes,
+ * or when one of its specifiers no longer resolves to the same file, such as after a file is added or removed.
+ */
+export default class DepsCache {
+  /** @type {string} */
+  #cacheDirectory = undefined;
+  /** @type {string} */
+  #configKey = undefined;
+  /** @type {{readFile:(function(string,string):!Promise<string>)}} */
+  #fs = undefined;
+  /** @type {!Map<string, !Promise<?string>>} */
+  #fileHashes = new Map();
+
+  /**
+   * @param {string} cacheDirectory directory in which cache entries are stored
+   * @param {string} resolverConfig serialized options which affect how dependencies are resolved
+   * @param {{readFile:(function(string,string):!Promise<string>)}} fsAdapter
+   */
+  constructor(cacheDirectory, resolverConfig, fsAdapter) {
+    this.#cacheDirectory = cacheDirectory;
+    this.#configKey = hash(packageJson.version, String(CACHE_FORMAT_VERSION), resolverConfig);
+    this.#fs = fsAdapter;
+  }
+
+  /**
+   * Hash the current contents of a file. Hashes are computed once per run.
+   *
+   * @param {string} filepath
+   * @return {!Promise<?string>} null if the file cannot be read
+   */
+  #hashFile(filepath) {
+    if (!this.#fileHashes.has(filepath)) {
+      this.#fileHashes.set(
+          filepath,
+          this.#fs.readFile(filepath, 'utf8').then((contents) => hash(contents), () => null));
+    }
+    return this.#fileHashes.get(filepath);
+  }
+
+  /**
+   * Forget the computed hash of a file which has changed.
+   *
+   * @param {string} filepath
+   */
+  invalidate(filepath) {
+    this.#fileHashes.delete(filepath);
+  }
+
+  /**
+   * @param {string} filepath
+   * @param {string} contents
+   * @return {string}
+   */
+  #entryPath(filepath, contents) {
+    const key = hash(this.#configKey, filepath, contents);
+    return path.join(this.#cacheDirectory, key.substr(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Retrieve the cached dependencies of a file.
+   *
+   * @param {string} filepath
+   * @param {string} contents current contents of the file
+   * @param {function(string): !Promise<string>} resolveSpecifier resolves a specifier of the file with the current
+   *     state of the filesystem
+   * @return {!Promise<!GraphNode|undefined>} undefined when there is no valid entry
+   */
+  async get(filepath, contents, resolveSpecifier) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.#entryPath(filepath, contents), 'utf8'));
+    } catch (e) {
+      return undefined;
+    }
+    for (const [packageJsonFile, packageJsonHash] of Object.entries(entry.packageJsonHashes)) {
+      if (await this.#hashFile(packageJsonFile) !== packageJsonHash) {
+        return undefined;
+      }
+    }
+    if (!Array.isArray(entry.resolutions)) {
+      return undefined;
+    }
+    for (const [specifier, resolvedFile] of entry.resolutions) {
+      try {
+        if (await resolveSpecifier(specifier) !== resolvedFile) {
+          return undefined;
+        }
+      } catch (e) {
+        return undefined;
+      }
+    }
+    return new GraphNode(
+        filepath,
+        new Set(entry.deps),
+        new Set(entry.childChunks),
+        new Set(entry.packageJsonFiles),
+        new Map((entry.childChunkSpecifiers || [])
+            .map(([childChunk, specifiers]) => [childChunk, new Set(specifiers)])),
+        new Map(entry.childChunkNames),
+        new Map((entry.childChunksLoadedTogether || []).map(([childChunk, chunks]) => [childChunk, new Set(chunks)])));
+  }
+
+  /**
+   * Store the dependencies of a file. The entry is written to a temporary file and renamed so that
+   * concurrent runs never observe a partial entry.
+   *
+   * @param {string} filepath
+   * @param {string} contents contents of the file from which the dependencies were found
+   * @param {!GraphNode} node
+   * @param {!Map<string, string>} resolutions resolved file of each specifier of the file
+   * @return {!Promise<undefined>}
+   */
+  async set(filepath, contents, node, resolutions) {
+    const packageJsonHashes = {};
+    for (const packageJsonFile of node.packageJsonFiles) {
+      packageJsonHashes[packageJsonFile] = await this.#hashFile(packageJsonFile);
+    }
+    const entryPath = this.#entryPath(filepath, contents);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(entryPath), {recursive: true});
+    await fs.writeFile(tempPath, JSON.stringify({
+      deps: Array.from(node.deps),
+      childChunks: Array.from(node.childChunks),
+      packageJsonFiles: Array.from(node.packageJsonFiles),
+      childChunkSpecifiers: Array.from(node.childChunkSpecifiers)
+          .map(([childChunk, specifiers]) => [childChunk, Array.from(specifiers)]),
+      childChunkNames: Array.from(node.childChunkNames),
+      childChunksLoadedTogether: Array.from(node.childChunksLoadedTogether)
+          .map(([childChunk, chunks]) => [childChunk, Array.from(chunks)]),
+      resolutions: Array.from(resolutions),
+      packageJsonHashes
+    }), 'utf8');
+    await fs.rename(tempPath, entryPath);
+  }
+}
@@ -1,28 +1,212 @@
-import {Parser} from 'acorn';
-import {simple as simpleWalk} from 'acorn-walk';
+import {ancestor as ancestorWalk} from 'acorn-walk';
 import fs from 'fs/promises';
 import path from 'path';
 import graphlib from 'graphlib';
 import resolve from 'resolve';
+import {exports as resolveExports, imports as resolveImports} from 'resolve.exports';
+import DepsCache from './deps-cache.js';
+import {DIAGNOSTIC_CODE, Diagnostic, SEVERITY} from './diagnostics.js';
 import GraphNode from './graph-node.js';
+import {DEFAULT_PARSERS, getParserForFile} from './parsers.js';
 
 /**
- * Return the path of a Closure Library provided namespace
+ * A custom resolver receives a module specifier and the path of the importing file. It returns the path of the
+ * resolved file, or a falsy value to use the default resolution. It is also called for paths which are already
+ * absolute, such as Closure Library's base.js.
  *
- * @param {string} googNamespace
- * @param {?Map<string, string>} googDepsMap map of closure library provided namespace to filepath
- * @param {string} usedIn filepath of source requiring closure namespace
- * @return {string}
+ * @typedef {function(string, string): (?string|undefined|!Promise<(?string|undefined)>)} ModuleResolver
  */
-function getGoogDepPath(googNamespace, googDepsMap, usedIn) {
-  if (googNamespace === null) {
-    throw new Error('Closure Library namespace encountered, but no dependency map provided');
+
+/**
+ * Convert the specifier of a dynamic import into a pattern where each non-literal part is replaced by "*".
+ * Template literals and string concatenations are supported.
+ *
+ * @param {!Object} node specifier expression
+ * @return {?string} null when the specifier has no literal parts
+ */
+function specifierPattern(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  } else if (node.type === 'TemplateLiteral') {
+    return node.quasis.map((quasi) => quasi.value.cooked).join('*');
+  } else if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = specifierPattern(node.left);
+    const right = specifierPattern(node.right);
+    if (left === null && right === null) {
+      return null;
+    }
+    return (left === null ? '*' : left) + (right === null ? '*' : right);
+  }
+  return null;
+}
+
+/**
+ * @param {!Object} node
+ * @return {?string} the value of a string literal, or of a template literal without expressions
+ */
+function staticString(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  } else if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Whether a call loads or resolves a CommonJS module: require(), require.resolve() or module.require().
+ *
+ * @param {!Object} node call expression
+ * @return {boolean}
+ */
+function isRequireCall(node) {
+  const {callee} = node;
+  if (callee.type === 'Identifier') {
+    return callee.name === 'require';
+  }
+  return callee.type === 'MemberExpression' &&
+      !callee.computed &&
+      callee.object.type === 'Identifier' &&
+      ((callee.object.name === 'require' && callee.property.name === 'resolve') ||
+          (callee.object.name === 'module' && callee.property.name === 'require'));
+}
+
+/**
+ * Whether a call is a webpack style split point: require.ensure(dependencies, callback, errorCallback, chunkName)
+ *
+ * @param {!Object} node
+ * @return {boolean}
+ */
+function isRequireEnsureCall(node) {
+  return node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      !node.callee.computed &&
+      node.callee.object.type === 'Identifier' &&
+      node.callee.object.name === 'require' &&
+      node.callee.property.name === 'ensure' &&
+      node.arguments.length > 0 &&
+      node.arguments[0].type === 'ArrayExpression';
+}
+
+/**
+ * The name of the Closure Library function called, such as "require" for goog.require or "module.get" for
+ * goog.module.get.
+ *
+ * @param {!Object} callee
+ * @return {?string} null when the callee is not a property of goog
+ */
+function googFunctionName(callee) {
+  const propertyNames = [];
+  let object = callee;
+  while (object.type === 'MemberExpression' && !object.computed && object.property.type === 'Identifier') {
+    propertyNames.unshift(object.property.name);
+    object = object.object;
+  }
+  if (propertyNames.length === 0 || object.type !== 'Identifier' || object.name !== 'goog') {
+    return null;
+  }
+  return propertyNames.join('.');
+}
+
+/**
+ * Whether a function runs as soon as it is reached: an immediately invoked function expression or the callback
+ * of goog.scope or goog.loadModule.
+ *
+ * @param {!Object} fn function node
+ * @param {!Object} parent
+ * @return {boolean}
+ */
+function isImmediatelyInvoked(fn, parent) {
+  if (parent.type !== 'CallExpression') {
+    return false;
+  } else if (parent.callee === fn) {
+    return true;
+  }
+  const googFunction = googFunctionName(parent.callee);
+  return (googFunction === 'scope' || googFunction === 'loadModule') && parent.arguments[0] === fn;
+}
+
+/**
+ * Whether an error thrown while resolving a module is a bug rather than a module which cannot be found. Bugs are
+ * rethrown instead of being reported as unresolved modules.
+ *
+ * @param {*} e
+ * @return {boolean}
+ */
+function isProgrammingError(e) {
+  return e instanceof TypeError || e instanceof ReferenceError || e instanceof RangeError;
+}
+
+/**
+ * @param {!Array<!Object>} comments
+ * @return {!Array<!Object>} the comments ordered by their start offset
+ */
+function sortComments(comments) {
+  return comments.slice().sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the chunk name requested with a magic comment such as /* chunkName: "settings" *\/ inside an import() call.
+ *
+ * @param {!Object} node dynamic import expression
+ * @param {!Array<!Object>} comments all comments of the file ordered by their start offset
+ * @return {string|undefined}
+ */
+function magicCommentChunkName(node, comments) {
+  // Binary search for the first comment after the start of the import
+  let low = 0;
+  let high = comments.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (comments[middle].start > node.start) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
   }
-  const googDepPath = googDepsMap.get(googNamespace);
-  if (!googDepPath) {
-    throw new Error(`Unknown goog dependency ${googNamespace} in ${usedIn}`);
+  for (let i = low; i < comments.length && comments[i].end <= node.source.start; i++) {
+    const match = /\bchunkName\s*:\s*(["'])(.+?)\1/.exec(comments[i].value);
+    if (match) {
+      return match[2];
+    }
   }
-  return googDepPath;
+  return undefined;
+}
+
+/**
+ * Find the child chunks which every import of a child chunk in a file loads along with it.
+ *
+ * @param {!Array<!Array<string>>} importSites specifiers loaded by each dynamic import, or by each set of dynamic
+ *     imports passed together to Promise.all
+ * @param {!Map<string, string>} resolvedSpecifiers resolved path of each specifier
+ * @return {!Map<string, !Set<string>>} keyed by resolved child chunk. Chunks always loaded alone are omitted.
+ */
+function childChunksLoadedTogether(importSites, resolvedSpecifiers) {
+  /** @type {!Map<string, !Set<string>>} */
+  const loadedTogether = new Map();
+  importSites.forEach((specifiers) => {
+    const importSite = specifiers.map((specifier) => resolvedSpecifiers.get(specifier))
+        .filter((resolvedFile) => resolvedFile !== undefined);
+    importSite.forEach((childChunk) => {
+      const siteChunks = new Set(importSite.filter((siteChunk) => siteChunk !== childChunk));
+      const chunks = loadedTogether.get(childChunk);
+      if (!chunks) {
+        loadedTogether.set(childChunk, siteChunks);
+      } else {
+        chunks.forEach((chunk) => {
+          if (!siteChunks.has(chunk)) {
+            chunks.delete(chunk);
+          }
+        });
+      }
+    });
+  });
+  loadedTogether.forEach((chunks, childChunk) => {
+    if (chunks.size === 0) {
+      loadedTogether.delete(childChunk);
+    }
+  });
+  return loadedTogether;
 }
 
 /**
@@ -38,14 +222,46 @@ export default class DepsFinder {
   #googBasePath = undefined;
   /** @type {Map<string, string>|undefined} */
   #googDepsMap = undefined;
+  /** @type {!Map<string, !GoogDependency>} */
+  #googDependencies = new Map();
+  /** @type {?ModuleResolver} */
+  #resolver = null;
+  /** @type {!Map<string, !Array<string>>} */
+  #packageJsonEntryNameOverrides = new Map();
   /** @type {!Map<string, !Array<string>>=} */
   #dependenciesToHoist = new Map();
   /** @type {!Map<string, !GraphNode>} */
   #fileDepsCache = new Map();
-  /** @type {{readFile:(function(string,string):!Promise<string>)}=} */
+  /** @type {!Array<string>} */
+  #packageJsonConditions = ['browser', 'import', 'default'];
+  /** @type {!Map<string, !Promise<?Object<string, *>>>} */
+  #packageJsonCache = new Map();
+  /** @type {!Map<string, !SourceParser>} */
+  #parsers = DEFAULT_PARSERS;
+  /** @type {?DepsCache} */
+  #persistentCache = null;
+  /** @type {!Map<string, !Array<!Diagnostic>>} */
+  #fileDiagnostics = new Map();
+  /** @type {!Array<!Diagnostic>} problems found while building the graph rather than in a single file */
+  #graphDiagnostics = [];
+  /** @type {!Map<string, !Set<string>>} directories read to expand the dynamic imports of each file */
+  #expandedDirectories = new Map();
+  /** @type {!Map<string, !Set<string>>} directories in which the unresolved relative imports of each file would be */
+  #unresolvedDirectories = new Map();
+  /** @type {!Map<string, !Map<string, string>>} resolved file of each specifier of the files parsed */
+  #fileResolutions = new Map();
+  /**
+   * @type {{
+   *   readFile:(function(string,string):!Promise<string>),
+   *   readdir:(function(string,{withFileTypes: boolean}):!Promise<!Array<!fs.Dirent>>)
+   * }}
+   */
   #fs = {
     readFile(filepath, encoding) {
       return fs.readFile(filepath, encoding);
+    },
+    readdir(directory, options) {
+      return fs.readdir(directory, options);
     }
   };
 
@@ -54,9 +270,30 @@ export default class DepsFinder {
    * @param {string=} baseDirectory root directory of application
    * @param {string=} googBasePath path to closure library base.js
    * @param {Map<string, string>=} googDepsMap map of closure library provided namespace to filepath
-   * @param {{readFile:(function(string,string):!Promise<string>)}=} fsAdapter
+   * @param {{
+   *   readFile:(function(string,string):!Promise<string>),
+   *   readdir:(function(string,{withFileTypes: boolean}):!Promise<!Array<!fs.Dirent>>)
+   * }=} fsAdapter
+   * @param {!Array<string>=} packageJsonConditions conditions to match in package.json "exports" and "imports" maps
+   * @param {!Map<string, !SourceParser>=} parsers source parsers keyed by file extension
+   * @param {?string=} cacheDirectory directory used to persist parsed dependencies between runs
+   * @param {!Map<string, !GoogDependency>=} googDependencies deps file entries keyed by filepath. Listed files are
+   *     not parsed unless they are ES modules.
+   * @param {?ModuleResolver=} resolver consulted before the default module resolution
+   * @param {!Map<string, !Array<string>>=} packageJsonEntryNameOverrides package.json entry names keyed by package name
    */
-  constructor(packageJsonEntryNames, baseDirectory, googBasePath, googDepsMap, fsAdapter) {
+  constructor(
+      packageJsonEntryNames,
+      baseDirectory,
+      googBasePath,
+      googDepsMap,
+      fsAdapter,
+      packageJsonConditions,
+      parsers,
+      cacheDirectory,
+      googDependencies,
+      resolver,
+      packageJsonEntryNameOverrides) {
     this.#packageJsonEntryNames = packageJsonEntryNames;
     this.#baseDirectory = baseDirectory;
     this.#googBasePath = googBasePath;
@@ -64,6 +301,35 @@ export default class DepsFinder {
     if (fsAdapter) {
       this.#fs = fsAdapter;
     };
+    if (packageJsonConditions) {
+      this.#packageJsonConditions = packageJsonConditions;
+    }
+    if (parsers) {
+      this.#parsers = parsers;
+    }
+    if (googDependencies) {
+      this.#googDependencies = googDependencies;
+    }
+    if (resolver) {
+      this.#resolver = resolver;
+    }
+    if (packageJsonEntryNameOverrides) {
+      this.#packageJsonEntryNameOverrides = packageJsonEntryNameOverrides;
+    }
+    if (cacheDirectory) {
+      const resolverConfig = JSON.stringify({
+        packageJsonEntryNames: this.#packageJsonEntryNames,
+        packageJsonConditions: this.#packageJsonConditions,
+        baseDirectory: this.#baseDirectory,
+        googBasePath: this.#googBasePath,
+        googDeps: Array.from(this.#googDepsMap || []),
+        parsers: Array.from(this.#parsers.keys()),
+        // Changes to the source of a custom resolver invalidate the cache
+        resolver: this.#resolver ? this.#resolver.toString() : null,
+        packageJsonEntryNameOverrides: Array.from(this.#packageJsonEntryNameOverrides)
+      });
+      this.#persistentCache = new DepsCache(cacheDirectory, resolverConfig, this.#fs);
+    }
   }
 
   /** @type {!Map<string, !GraphNode>} */
@@ -71,6 +337,38 @@ export default class DepsFinder {
     return this.#fileDepsCache;
   }
 
+  /**
+   * Directories read to expand the non-literal dynamic imports of each file, including those which do not exist.
+   * Files added to or removed from these directories can change the child chunks of the importing file.
+   *
+   * @type {!Map<string, !Set<string>>}
+   */
+  get expandedDirectories() {
+    return this.#expandedDirectories;
+  }
+
+  /**
+   * Directories in which the relative and absolute imports of each file which could not be resolved would be found.
+   * A file added to these directories may resolve one of the imports.
+   *
+   * @type {!Map<string, !Set<string>>}
+   */
+  get unresolvedDirectories() {
+    return this.#unresolvedDirectories;
+  }
+
+  /**
+   * Problems found in the files parsed so far
+   *
+   * @type {!Array<!Diagnostic>}
+   */
+  get diagnostics() {
+    const diagnostics = [];
+    this.#fileDiagnostics.forEach((fileDiagnostics) => diagnostics.push(...fileDiagnostics));
+    diagnostics.push(...this.#graphDiagnostics);
+    return diagnostics;
+  }
+
   /** @param {!Map<string, !Array<string>>} sourcesToHoist */
   addDependenciesToHoist(sourcesToHoist) {
     sourcesToHoist.forEach((sourceList, filepath) => {
@@ -78,17 +376,48 @@ export default class DepsFinder {
     });
   }
 
+  clearDependenciesToHoist() {
+    this.#dependenciesToHoist.clear();
+  }
+
+  /**
+   * Discard the parsed dependencies of a changed file so that it is parsed again by the next build.
+   * When the file is a package.json, every file which was resolved using it is discarded as well.
+   *
+   * @param {string} filepath
+   */
+  invalidate(filepath) {
+    this.#fileDepsCache.delete(filepath);
+    this.#fileDiagnostics.delete(filepath);
+    this.#expandedDirectories.delete(filepath);
+    this.#unresolvedDirectories.delete(filepath);
+    this.#fileResolutions.delete(filepath);
+    this.#packageJsonCache.delete(filepath);
+    if (this.#persistentCache) {
+      this.#persistentCache.invalidate(filepath);
+    }
+    if (path.basename(filepath) === 'package.json') {
+      this.#fileDepsCache.forEach((node, cachedFilepath) => {
+        if (node.packageJsonFiles.has(filepath)) {
+          this.#fileDepsCache.delete(cachedFilepath);
+        }
+      });
+    }
+  }
+
   /**
    * Modify a package.json file before its used to resolve a module. Used to determine the "main" entrypoint.
+   * Packages with overridden entry names use those instead of the configured entry names.
    *
    * @param {Object<string, *>} packageJson
    * @return {Object<string, *>}
    */
   #packageFilter(packageJson) {
     const normalizedPkg = Object.assign({}, packageJson);
-    for (let i = 0; i < this.#packageJsonEntryNames.length; i++) {
-      if (packageJson[this.#packageJsonEntryNames[i]]) {
-        normalizedPkg.main = packageJson[this.#packageJsonEntryNames[i]];
+    const entryNames = this.#packageJsonEntryNameOverrides.get(packageJson.name) || this.#packageJsonEntryNames;
+    for (let i = 0; i < entryNames.length; i++) {
+      if (packageJson[entryNames[i]]) {
+        normalizedPkg.main = packageJson[entryNames[i]];
         return normalizedPkg;
       }
     }
@@ -96,21 +425,108 @@ export default class DepsFinder {
   }
 
   /**
-   * Implementation of the Node Module Resolution algorithm starting from an arbitrary file. Allows the "main"
+   * Read and parse a package.json file. Results are cached for the life of the finder.
+   *
+   * @param {string} packageJsonPath
+   * @return {!Promise<?Object<string, *>>} null if the file does not exist
+   */
+  #readPackageJson(packageJsonPath) {
+    if (!this.#packageJsonCache.has(packageJsonPath)) {
+      this.#packageJsonCache.set(
+          packageJsonPath,
+          this.#fs.readFile(packageJsonPath, 'utf8').then(
+              (contents) => JSON.parse(contents),
+              (err) => {
+                if (err.code === 'ENOENT') {
+                  return null;
+                }
+                throw err;
+              }));
+    }
+    return this.#packageJsonCache.get(packageJsonPath);
+  }
+
+  /**
+   * Find the closest package.json file at or above a directory.
+   *
+   * @param {string} basedir
+   * @return {!Promise<?string>}
+   */
+  async #findNearestPackageJson(basedir) {
+    for (let dir = basedir; ; dir = path.dirname(dir)) {
+      const packageJsonPath = path.join(dir, 'package.json');
+      if (await this.#readPackageJson(packageJsonPath)) {
+        return packageJsonPath;
+      }
+      if (path.dirname(dir) === dir) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Resolve a module specifier through the "exports" map of the referenced package or, for specifiers
+   * starting with "#", the "imports" map of the package containing the importing file.
+   *
+   * @param {string} basedir directory of the importing file
+   * @param {string} moduleId to resolve
+   * @return {!Promise<?{resolvedFile: string, packageJsonFile: string}>} null when no map applies
+   */
+  async #resolvePackageMap(basedir, moduleId) {
+    const conditionOptions = {conditions: this.#packageJsonConditions, unsafe: true};
+    if (moduleId[0] === '#') {
+      const packageJsonFile = await this.#findNearestPackageJson(basedir);
+      const packageJson = packageJsonFile && await this.#readPackageJson(packageJsonFile);
+      if (!packageJson || !packageJson.imports) {
+        return null;
+      }
+      const [target] = resolveImports(packageJson, moduleId, conditionOptions);
+      // Targets of an "imports" map may be either package relative paths or other packages
+      const resolvedFile = /^\.\//.test(target) ?
+          path.resolve(path.dirname(packageJsonFile), target) :
+          await this.resolveFrom(packageJsonFile, target);
+      return {resolvedFile, packageJsonFile};
+    }
+
+    if (/^[\.\/]/.test(moduleId) || path.isAbsolute(moduleId)) {
+      return null;
+    }
+    const pathParts = moduleId.split(/\/|\\/);
+    const packageName = pathParts.slice(0, moduleId[0] === '@' ? 2 : 1).join('/');
+    let packageJsonFile;
+    try {
+      packageJsonFile = await this.#resolveWithNodeAlgorithm(basedir, `${packageName}/package.json`);
+    } catch (e) {
+      return null;
+    }
+    const packageJson = await this.#readPackageJson(packageJsonFile);
+    if (!packageJson || !packageJson.exports) {
+      return null;
+    }
+    const [target] = resolveExports(packageJson, `.${moduleId.substr(packageName.length)}`, conditionOptions);
+    return {
+      resolvedFile: path.resolve(path.dirname(packageJsonFile), target),
+      packageJsonFile
+    };
+  }
+
+  /**
+   * Implementation of the Node Module Resolution algorithm starting from an arbitrary directory. Allows the "main"
    * entry of the package.json to be modified to support the "browser" and "module" fields. Also preserves symbolic
    * links created by npm link or yarn workspaces.
    *
-   * @param {string} filepath starting point
+   * @param {string} basedir starting point
    * @param {string} moduleId to resolve
    * @return {Promise<string>} resolved path
    */
-  async resolveFrom(filepath, moduleId) {
-    const basedir = path.dirname(filepath);
+  #resolveWithNodeAlgorithm(basedir, moduleId) {
     return new Promise((res, rej) => {
       resolve(
           moduleId,
           {
             basedir,
+            // Extensionless specifiers may refer to any file type which can be parsed
+            extensions: Array.from(new Set(['.js', ...this.#parsers.keys()])),
             includeCoreModules: false,
             packageFilter: this.#packageFilter.bind(this),
             preserveSymlinks: true
@@ -124,6 +540,43 @@ export default class DepsFinder {
     });
   }
 
+  /**
+   * Resolve a module with the custom resolver, if any. Relative paths returned by the resolver are resolved against
+   * the directory of the importing file.
+   *
+   * @param {string} filepath importing file
+   * @param {string} moduleId to resolve
+   * @return {!Promise<?string>} null when the default resolution should be used
+   */
+  async #resolveWithCustomResolver(filepath, moduleId) {
+    if (!this.#resolver) {
+      return null;
+    }
+    const resolvedFile = await this.#resolver(moduleId, filepath);
+    return resolvedFile ? path.resolve(path.dirname(filepath), resolvedFile) : null;
+  }
+
+  /**
+   * Resolve a module starting from an arbitrary file. Package "exports" and "imports" maps are honored
+   * using the configured conditions. Packages without maps fall back to the Node Module Resolution algorithm.
+   *
+   * @param {string} filepath starting point
+   * @param {string} moduleId to resolve
+   * @return {Promise<string>} resolved path
+   */
+  async resolveFrom(filepath, moduleId) {
+    const customResolution = await this.#resolveWithCustomResolver(filepath, moduleId);
+    if (customResolution) {
+      return customResolution;
+    }
+    const basedir = path.dirname(filepath);
+    const packageMapResult = await this.#resolvePackageMap(basedir, moduleId);
+    if (packageMapResult) {
+      return packageMapResult.resolvedFile;
+    }
+    return this.#resolveWithNodeAlgorithm(basedir, moduleId);
+  }
+
   /**
    *
    * @param {string} fromPath
@@ -131,8 +584,17 @@ export default class DepsFinder {
    * @return {!Promise<!{resolvedFile: string, packageJsonFile: (string|undefined)}>}
    */
   async resolveAndIncludePackageJson(fromPath, moduleSpecifier) {
+    const customResolution = await this.#resolveWithCustomResolver(fromPath, moduleSpecifier);
+    if (customResolution) {
+      return {resolvedFile: customResolution, packageJsonFile: undefined};
+    }
+    const packageMapResult = await this.#resolvePackageMap(path.dirname(fromPath), moduleSpecifier);
+    if (packageMapResult) {
+      return packageMapResult;
+    }
     const retVal = {
-      resolvedFile: (await this.resolveFrom(fromPath, moduleSpecifier)) || moduleSpecifier,
+      resolvedFile: (await this.#resolveWithNodeAlgorithm(path.dirname(fromPath), moduleSpecifier)) ||
+          moduleSpecifier,
       packageJsonFile: undefined,
     };
     if (/^[\.\/]/.test(moduleSpecifier)) {
@@ -142,18 +604,90 @@ export default class DepsFinder {
     const pathParts = moduleSpecifier.split(/\/|\\/);
     if (pathParts.length === 1 || pathParts.length === 2 && pathParts[0][0] === '@') {
       retVal.packageJsonFile =
-          await this.resolveFrom(fromPath, `${moduleSpecifier}/package.json`);
+          await this.#resolveWithNodeAlgorithm(path.dirname(fromPath), `${moduleSpecifier}/package.json`);
     }
     return retVal;
   }
 
+  /**
+   * Find the files matching the pattern of a non-literal dynamic import. Each "*" matches any part of a single path
+   * segment. Only files which can be parsed are matched and the importing file is excluded. The directories read
+   * are recorded so that a change to their entries can cause the importing file to be parsed again.
+   *
+   * @param {string} filepath importing file
+   * @param {string} pattern relative specifier pattern
+   * @return {!Promise<!Array<{specifier: string, request: string}>>} specifiers for each match, along with the part
+   *     of the specifier which follows the literal directory prefix without its extension
+   */
+  async #expandSpecifierPattern(filepath, pattern) {
+    const segments = pattern.split('/');
+    const firstPatternSegment = segments.findIndex((segment) => segment.includes('*'));
+    const prefix = segments.slice(0, firstPatternSegment).join('/');
+    const extensions = new Set(['.js', ...this.#parsers.keys()]);
+    let readDirectories = this.#expandedDirectories.get(filepath);
+    if (!readDirectories) {
+      readDirectories = new Set();
+      this.#expandedDirectories.set(filepath, readDirectories);
+    }
+    /** @type {!Array<string>} specifiers matched so far, relative to the prefix */
+    let matches = [''];
+    for (let i = firstPatternSegment; i < segments.length; i++) {
+      const isLastSegment = i === segments.length - 1;
+      const segmentParts = segments[i].split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+      const segmentPattern = new RegExp(`^${segmentParts.join('[^/]*')}$`);
+      const nextMatches = [];
+      for (const match of matches) {
+        const directory = path.resolve(path.dirname(filepath), prefix, match);
+        readDirectories.add(directory);
+        let entries;
+        try {
+          entries = await this.#fs.readdir(directory, {withFileTypes: true});
+        } catch (e) {
+          if (isProgrammingError(e)) {
+            throw e;
+          }
+          continue;
+        }
+        entries.forEach((entry) => {
+          if (!segmentPattern.test(entry.name) || entry.name[0] === '.' && segments[i][0] !== '.') {
+            return;
+          }
+          if (isLastSegment ? entry.isFile() && extensions.has(path.extname(entry.name)) : entry.isDirectory()) {
+            nextMatches.push(match ? `${match}/${entry.name}` : entry.name);
+          }
+        });
+      }
+      matches = nextMatches;
+    }
+    return matches
+        .filter((match) => path.resolve(path.dirname(filepath), prefix, match) !== filepath)
+        .sort()
+        .map((match) => ({
+          specifier: `${prefix}/${match}`,
+          request: match.substr(0, match.length - path.extname(match).length).replace(/\//g, '-')
+        }));
+  }
+
   /**
    * Given a filepath and its parsed AST, find all dependencies.
    *
    * Synchronous imports (ES Module import, Common JS require, goog.require and goog.module.get)
-   * Are returned as dependencies.
+   * Are returned as dependencies. require.resolve and module.require are treated as require. Requires with a
+   * specifier which is not a string are recorded as warnings. goog.requireType and goog.forwardDeclare only
+   * reference types, so do not create a dependency. Modules wrapped in goog.loadModule, including those given as
+   * a source string, are searched as part of the file.
    *
-   * ES Dynamic Imports are returned as child chunk dependencies
+   * ES Dynamic Imports and the modules loaded by a require.ensure split point are returned as child chunk
+   * dependencies. A string argument of require.ensure names the chunk. goog.module.get called within a function
+   * which is not run immediately is a split point unless the module is also required by the file.
+   *
+   * Non-literal relative dynamic import specifiers built from template literals or string concatenation are
+   * expanded against the filesystem, and each matching file becomes a child chunk. A magic comment such as
+   * /* chunkName: "settings" *\/ names the child chunk. In the name, "[request]" is replaced by the matched part of
+   * an expanded specifier.
+   *
+   * Unknown Closure Library namespaces and modules which cannot be resolved are recorded as diagnostics for the
+   * file. The remaining dependencies are still returned.
    *
    * @param {string} filepath
    * @param {!Object} ast
@@ -162,49 +696,208 @@ export default class DepsFinder {
   async findDeps(filepath, ast) {
     const deps = [];
     const childChunks = [];
+    /** @type {!Map<string, string>} */
+    const childChunkNameRequests = new Map();
+    /** @type {!Array<{pattern: string, node: !Object, chunkName: (string|undefined)}>} */
+    const dynamicImportPatterns = [];
+    /** @type {!Map<!Object, string>} specifier of each dynamic import with a literal specifier */
+    const literalImports = new Map();
+    /** @type {!Array<!Array<!Object>>} dynamic imports passed together to Promise.all */
+    const promiseAllImports = [];
+    /** @type {!Array<!Array<string>>} specifiers loaded together by each import */
+    const importSites = [];
+    let comments = sortComments(ast.comments || []);
+    /** @type {!Map<string, !Object>} */
+    const specifierNodes = new Map();
+    const diagnostics = [];
+    this.#fileDiagnostics.set(filepath, diagnostics);
     let usesGoogBase = false;
+    /** @type {!Array<{source: string, node: !Object}>} */
+    const loadModuleSources = [];
+    // Locations within the source string of goog.loadModule are reported at the goog.loadModule call
+    let loadModuleNode = null;
+    /** @type {!Map<!Object, !Array<string>>} specifiers loaded by each require.ensure call */
+    const requireEnsureSpecifiers = new Map();
+    /** @type {!Array<{specifier: string, node: !Object, lazy: boolean}>} */
+    const googModuleGets = [];
+    const addSpecifier = (specifiers, specifier, node) => {
+      specifiers.push(specifier);
+      if (!specifierNodes.has(specifier)) {
+        specifierNodes.set(specifier, loadModuleNode || node);
+      }
+    };
+    const addDiagnostic = (code, message, node, severity = SEVERITY.ERROR) => {
+      diagnostics.push(new Diagnostic({
+        code,
+        severity,
+        message,
+        file: filepath,
+        line: node && node.loc ? (loadModuleNode || node).loc.start.line : undefined,
+        column: node && node.loc ? (loadModuleNode || node).loc.start.column : undefined
+      }));
+    };
+    // The first name requested for a chunk is used
+    const requestChunkName = (specifier, chunkName, node) => {
+      const requestedName = childChunkNameRequests.get(specifier);
+      if (requestedName === undefined) {
+        childChunkNameRequests.set(specifier, chunkName);
+      } else if (requestedName !== chunkName) {
+        addDiagnostic(
+            DIAGNOSTIC_CODE.CONFLICTING_CHUNK_NAMES,
+            `${specifier} is imported with chunk name "${chunkName}", but was already named "${requestedName}"`,
+            node);
+      }
+    };
+
+    // Modules required within a require.ensure callback are loaded by the split point
+    const enclosingRequireEnsure = (ancestors) => {
+      for (let i = ancestors.length - 2; i > 0; i--) {
+        if (isRequireEnsureCall(ancestors[i - 1]) && ancestors[i - 1].arguments[1] === ancestors[i]) {
+          return ancestors[i - 1];
+        }
+      }
+      return null;
+    };
+    const getRequireEnsureSpecifiers = (requireEnsureNode) => {
+      let specifiers = requireEnsureSpecifiers.get(requireEnsureNode);
+      if (!specifiers) {
+        specifiers = [];
+        requireEnsureSpecifiers.set(requireEnsureNode, specifiers);
+      }
+      return specifiers;
+    };
+    const resolveGoogNamespace = (googNamespace, node) => {
+      if (!this.#googDepsMap || this.#googDepsMap.size === 0) {
+        addDiagnostic(
+            DIAGNOSTIC_CODE.MISSING_GOOG_DEPS_MAP,
+            `Closure Library namespace ${googNamespace} encountered, but no dependency map provided`,
+            node);
+      } else if (!this.#googDepsMap.has(googNamespace)) {
+        addDiagnostic(DIAGNOSTIC_CODE.UNKNOWN_GOOG_NAMESPACE, `Unknown goog dependency ${googNamespace}`, node);
+      } else {
+        return this.#googDepsMap.get(googNamespace);
+      }
+      return null;
+    };
+    const addDynamicRequireDiagnostic = (node) => {
+      addDiagnostic(
+          DIAGNOSTIC_CODE.DYNAMIC_REQUIRE,
+          'Dynamic require cannot be resolved. Only string literals and template literals without expressions ' +
+              'are supported.',
+          node,
+          SEVERITY.WARNING);
+    };
 
-    simpleWalk(ast, {
+    const visitors = {
       // static import statement
       ImportDeclaration(node) {
-        deps.push(node.source.value);
+        addSpecifier(deps, node.source.value, node);
       },
       // dynamic import expression
       ImportExpression(node) {
-        if (node.source.type !== 'Literal') {
+        const chunkName = magicCommentChunkName(node, comments);
+        if (node.source.type === 'Literal') {
+          addSpecifier(childChunks, node.source.value, node);
+          literalImports.set(node, node.source.value);
+          if (chunkName !== undefined) {
+            requestChunkName(node.source.value, chunkName, node);
+          }
+          return;
+        }
+        const pattern = specifierPattern(node.source);
+        if (pattern === null || !/^\.\.?\//.test(pattern)) {
+          addDiagnostic(
+              DIAGNOSTIC_CODE.DYNAMIC_IMPORT_NOT_EXPANDABLE,
+              'Dynamic import specifier cannot be expanded. Only template literals and string concatenations ' +
+                  'starting with a relative path are supported.',
+              node,
+              SEVERITY.WARNING);
           return;
         }
-        childChunks.push(node.source.value);
+        dynamicImportPatterns.push({pattern: pattern.replace(/\*+/g, '*'), node, chunkName});
       },
       // export * from 'module'
       ExportAllDeclaration(node) {
         if (node.source) {
-          deps.push(node.source.value);
+          addSpecifier(deps, node.source.value, node);
         }
       },
       // export {name} from 'module'
       ExportNamedDeclaration(node) {
         if (node.source) {
-          deps.push(node.source.value);
+          addSpecifier(deps, node.source.value, node);
         }
       },
-      // goog.require, goog.requireType, goog.provide, goog.module
-      CallExpression: (node) => {
-        // require('module')
-        if (node.callee.type === 'Identifier' &&
-            node.callee.name === 'require' &&
-            node.arguments.length === 1 &&
-            node.arguments[0].type === 'Literal') {
-          deps.push(node.arguments[0].value);
+      // goog.require, goog.requireType, goog.module.get, goog.loadModule
+      CallExpression: (node, ancestors) => {
+        const googFunction = googFunctionName(node.callee);
+        const googNamespace = node.arguments.length === 1 && node.arguments[0].type === 'Literal' ?
+            node.arguments[0].value :
+            null;
+        // require('module'), require.resolve('module'), module.require('module')
+        if (isRequireCall(node)) {
+          const specifier = node.arguments.length > 0 ? staticString(node.arguments[0]) : null;
+          const requireEnsureNode = enclosingRequireEnsure(ancestors);
+          if (specifier === null) {
+            addDynamicRequireDiagnostic(node);
+          } else if (requireEnsureNode) {
+            addSpecifier(childChunks, specifier, node);
+            getRequireEnsureSpecifiers(requireEnsureNode).push(specifier);
+          } else {
+            addSpecifier(deps, specifier, node);
+          }
+          // require.ensure(['module'], function(require) {}, 'chunkName')
+        } else if (isRequireEnsureCall(node)) {
+          const specifiers = getRequireEnsureSpecifiers(node);
+          node.arguments[0].elements.forEach((element) => {
+            const specifier = element ? staticString(element) : null;
+            if (specifier === null) {
+              addDynamicRequireDiagnostic(element || node);
+            } else {
+              addSpecifier(childChunks, specifier, element);
+              specifiers.push(specifier);
+            }
+          });
+          const chunkNameNode = node.arguments.slice(2).find((argument) => staticString(argument) !== null);
+          if (chunkNameNode) {
+            specifiers.forEach((specifier) => {
+              requestChunkName(specifier, staticString(chunkNameNode), node);
+            });
+          }
           // goog.require('namespace')
+        } else if (googFunction === 'require' && googNamespace !== null) {
+          const googFilepath = resolveGoogNamespace(googNamespace, node);
+          if (googFilepath !== null) {
+            addSpecifier(deps, googFilepath, node);
+          }
+          // goog.requireType('namespace') is only checked. Types do not need to be loaded first.
+        } else if (googFunction === 'requireType' && googNamespace !== null) {
+          resolveGoogNamespace(googNamespace, node);
+          // goog.module.get('namespace')
+        } else if (googFunction === 'module.get' && googNamespace !== null) {
+          const googFilepath = resolveGoogNamespace(googNamespace, node);
+          if (googFilepath !== null) {
+            googModuleGets.push({
+              specifier: googFilepath,
+              node: loadModuleNode || node,
+              lazy: ancestors.some((ancestor, index) =>
+                /Function/.test(ancestor.type) && !isImmediatelyInvoked(ancestor, ancestors[index - 1]))
+            });
+          }
+          // goog.loadModule('goog.module("namespace"); ...')
+        } else if (googFunction === 'loadModule' && node.arguments.length > 0 &&
+            staticString(node.arguments[0]) !== null) {
+          loadModuleSources.push({source: staticString(node.arguments[0]), node: loadModuleNode || node});
+          // Promise.all([import('a'), import('b')])
         } else if (node.callee.type === 'MemberExpression' &&
             node.callee.object.type === 'Identifier' &&
-            node.callee.object.name === 'goog' &&
+            node.callee.object.name === 'Promise' &&
             node.callee.property.type === 'Identifier' &&
-            /^require(Type)?$/.test(node.callee.property.name) &&
+            node.callee.property.name === 'all' &&
             node.arguments.length === 1 &&
-            node.arguments[0].type === 'Literal') {
-          deps.push(getGoogDepPath(node.arguments[0].value, this.#googDepsMap, filepath));
+            node.arguments[0].type === 'ArrayExpression') {
+          promiseAllImports.push(
+              node.arguments[0].elements.filter((element) => element && element.type === 'ImportExpression'));
         }
       },
       // Any reference to the global goog symbol
@@ -213,46 +906,249 @@ export default class DepsFinder {
           usesGoogBase = true;
         }
       }
+    };
+    ancestorWalk(ast, visitors);
+    // Bundled dependencies wrap each module in goog.loadModule with its source as a string
+    const parse = getParserForFile(filepath, this.#parsers);
+    for (let i = 0; i < loadModuleSources.length; i++) {
+      const {source, node} = loadModuleSources[i];
+      loadModuleNode = node;
+      try {
+        const loadModuleAst = await parse(source, filepath);
+        comments = sortComments(loadModuleAst.comments || []);
+        ancestorWalk(loadModuleAst, visitors);
+      } catch (e) {
+        addDiagnostic(DIAGNOSTIC_CODE.PARSE_ERROR, `goog.loadModule source: ${e.message}`, node);
+      }
+    }
+    loadModuleNode = null;
+    // goog.module.get only returns a module which has already been loaded. Within a function which is not run
+    // immediately, the module may be loaded later, so a module not otherwise required by the file is a split point.
+    googModuleGets.forEach(({specifier, node, lazy}) => {
+      if (!lazy) {
+        addSpecifier(deps, specifier, node);
+      } else if (!deps.includes(specifier)) {
+        addSpecifier(childChunks, specifier, node);
+        importSites.push([specifier]);
+      }
     });
-    if (usesGoogBase && filepath !== this.#googBasePath) {
+    const promiseAllImportNodes = new Set(promiseAllImports.flat());
+    promiseAllImports.forEach((importNodes) => {
+      importSites.push(importNodes.filter((importNode) => literalImports.has(importNode))
+          .map((importNode) => literalImports.get(importNode)));
+    });
+    requireEnsureSpecifiers.forEach((specifiers) => {
+      if (specifiers.length > 0) {
+        importSites.push(Array.from(new Set(specifiers)));
+      }
+    });
+    literalImports.forEach((specifier, importNode) => {
+      if (!promiseAllImportNodes.has(importNode)) {
+        importSites.push([specifier]);
+      }
+    });
+    for (const {pattern, node, chunkName} of dynamicImportPatterns) {
+      const matches = await this.#expandSpecifierPattern(filepath, pattern);
+      if (matches.length === 0) {
+        addDiagnostic(
+            DIAGNOSTIC_CODE.DYNAMIC_IMPORT_NO_MATCHES,
+            `No files match dynamic import pattern ${pattern}`,
+            node,
+            SEVERITY.WARNING);
+      }
+      // Give each matched chunk its own name unless the name places the request
+      const chunkNameTemplate = chunkName !== undefined && matches.length > 1 && !chunkName.includes('[request]') ?
+          `${chunkName}-[request]` :
+          chunkName;
+      matches.forEach(({specifier, request}) => {
+        addSpecifier(childChunks, specifier, node);
+        importSites.push([specifier]);
+        if (chunkNameTemplate !== undefined) {
+          requestChunkName(specifier, chunkNameTemplate.replace(/\[request\]/g, request), node);
+        }
+      });
+    }
+    if (usesGoogBase && this.#googBasePath && filepath !== this.#googBasePath) {
       deps.unshift(this.#googBasePath);
     }
     deps.push(filepath);
 
     const resolvedDeps = [];
     const packageJsonFiles = [];
+    /** @type {!Map<string, string>} */
+    const resolutions = new Map();
+    this.#fileResolutions.set(filepath, resolutions);
+    this.#unresolvedDirectories.delete(filepath);
+    /** @param {string} specifier */
+    const addUnresolvedDirectory = (specifier) => {
+      if (!/^[\.\/]/.test(specifier) && !path.isAbsolute(specifier)) {
+        return;
+      }
+      let unresolvedDirectories = this.#unresolvedDirectories.get(filepath);
+      if (!unresolvedDirectories) {
+        unresolvedDirectories = new Set();
+        this.#unresolvedDirectories.set(filepath, unresolvedDirectories);
+      }
+      unresolvedDirectories.add(path.dirname(path.resolve(path.dirname(filepath), specifier)));
+    };
     for (let dep of deps) {
-      const resolvedFileInfo = await this.resolveAndIncludePackageJson(filepath, dep);
+      let resolvedFileInfo;
+      try {
+        resolvedFileInfo = await this.resolveAndIncludePackageJson(filepath, dep);
+      } catch (e) {
+        if (isProgrammingError(e)) {
+          throw e;
+        }
+        addDiagnostic(DIAGNOSTIC_CODE.UNRESOLVED_MODULE, e.message, specifierNodes.get(dep));
+        addUnresolvedDirectory(dep);
+        continue;
+      }
       resolvedDeps.push(resolvedFileInfo.resolvedFile);
+      resolutions.set(dep, resolvedFileInfo.resolvedFile);
       if (resolvedFileInfo.packageJsonFile) {
         packageJsonFiles.push(resolvedFileInfo.packageJsonFile);
       }
     }
 
     const resolvedChildChunks = [];
+    const childChunkSpecifiers = new Map();
+    const childChunkNames = new Map();
+    /** @type {!Map<string, string>} */
+    const resolvedChildChunkSpecifiers = new Map();
     for (let childChunkFilepath of childChunks) {
-      const resolvedFileInfo = await this.resolveAndIncludePackageJson(filepath, childChunkFilepath);
+      let resolvedFileInfo;
+      try {
+        resolvedFileInfo = await this.resolveAndIncludePackageJson(filepath, childChunkFilepath);
+      } catch (e) {
+        if (isProgrammingError(e)) {
+          throw e;
+        }
+        addDiagnostic(DIAGNOSTIC_CODE.UNRESOLVED_MODULE, e.message, specifierNodes.get(childChunkFilepath));
+        addUnresolvedDirectory(childChunkFilepath);
+        continue;
+      }
       resolvedChildChunks.push(resolvedFileInfo.resolvedFile);
+      resolvedChildChunkSpecifiers.set(childChunkFilepath, resolvedFileInfo.resolvedFile);
+      resolutions.set(childChunkFilepath, resolvedFileInfo.resolvedFile);
       if (resolvedFileInfo.packageJsonFile) {
         packageJsonFiles.push(resolvedFileInfo.packageJsonFile);
       }
+      let specifiers = childChunkSpecifiers.get(resolvedFileInfo.resolvedFile);
+      if (!specifiers) {
+        specifiers = new Set();
+        childChunkSpecifiers.set(resolvedFileInfo.resolvedFile, specifiers);
+      }
+      specifiers.add(childChunkFilepath);
+      const chunkName = childChunkNameRequests.get(childChunkFilepath);
+      const resolvedChunkName = childChunkNames.get(resolvedFileInfo.resolvedFile);
+      if (chunkName === undefined) {
+        continue;
+      } else if (resolvedChunkName === undefined) {
+        childChunkNames.set(resolvedFileInfo.resolvedFile, chunkName);
+      } else if (resolvedChunkName !== chunkName) {
+        addDiagnostic(
+            DIAGNOSTIC_CODE.CONFLICTING_CHUNK_NAMES,
+            `${childChunkFilepath} is imported with chunk name "${chunkName}", but the same file was already ` +
+                `named "${resolvedChunkName}"`,
+            specifierNodes.get(childChunkFilepath));
+      }
     }
     return new GraphNode(
         filepath,
         new Set(resolvedDeps),
         new Set(resolvedChildChunks),
-        new Set(packageJsonFiles)
+        new Set(packageJsonFiles),
+        childChunkSpecifiers,
+        childChunkNames,
+        childChunksLoadedTogether(importSites, resolvedChildChunkSpecifiers)
     );
   }
 
+  /**
+   * Find the dependencies of a file from its deps file entry rather than by parsing it. Unknown required
+   * namespaces are recorded as diagnostics for the file.
+   *
+   * @param {!GoogDependency} googDependency
+   * @return {!GraphNode}
+   */
+  #findGoogDependencyDeps({filepath, requires}) {
+    const diagnostics = [];
+    this.#fileDiagnostics.set(filepath, diagnostics);
+    const deps = !this.#googBasePath || filepath === this.#googBasePath ? [] : [this.#googBasePath];
+    requires.forEach((googNamespace) => {
+      if (this.#googDepsMap && this.#googDepsMap.has(googNamespace)) {
+        deps.push(this.#googDepsMap.get(googNamespace));
+      } else {
+        diagnostics.push(new Diagnostic({
+          code: DIAGNOSTIC_CODE.UNKNOWN_GOOG_NAMESPACE,
+          message: `Unknown goog dependency ${googNamespace}`,
+          file: filepath
+        }));
+      }
+    });
+    deps.push(filepath);
+    return new GraphNode(filepath, new Set(deps), new Set(), new Set());
+  }
+
+  /**
+   * Read and parse a file to find its direct dependencies, or retrieve them from the persistent cache. Files which
+   * cannot be read or parsed are recorded as diagnostics for the file.
+   *
+   * @param {string} filepath
+   * @return {!Promise<?GraphNode>} null when the file cannot be read or parsed
+   */
+  async #parseFile(filepath) {
+    let fileContents;
+    try {
+      fileContents = await this.#fs.readFile(filepath, 'utf8');
+    } catch (e) {
+      this.#fileDiagnostics.set(filepath, [new Diagnostic({
+        code: DIAGNOSTIC_CODE.UNREADABLE_FILE,
+        message: e.message,
+        file: filepath
+      })]);
+      return null;
+    }
+    let depInfo = this.#persistentCache && await this.#persistentCache.get(
+        filepath,
+        fileContents,
+        async (specifier) => (await this.resolveAndIncludePackageJson(filepath, specifier)).resolvedFile);
+    if (depInfo) {
+      return depInfo;
+    }
+    let ast;
+    try {
+      ast = await getParserForFile(filepath, this.#parsers)(fileContents, filepath);
+    } catch (e) {
+      this.#fileDiagnostics.set(filepath, [new Diagnostic({
+        code: DIAGNOSTIC_CODE.PARSE_ERROR,
+        message: e.message,
+        file: filepath,
+        line: e.loc ? e.loc.line : undefined,
+        column: e.loc ? e.loc.column : undefined
+      })]);
+      return null;
+    }
+    depInfo = await this.findDeps(filepath, ast);
+    // Diagnostics are not persisted, so only store files without problems. Files matching an expanded
+    // import may be added without the importing file changing.
+    if (this.#persistentCache &&
+        this.#fileDiagnostics.get(filepath).length === 0 &&
+        !this.#expandedDirectories.has(filepath)) {
+      await this.#persistentCache.set(filepath, fileContents, depInfo, this.#fileResolutions.get(filepath));
+    }
+    return depInfo;
+  }
+
   /**
    * For a given file, find its dependencies recursively
    *
    * @param {string} filepath
    * @param {Set<string>=} visitedFiles
+   * @param {!Array<string>=} importChain files through which this file was reached, starting from an entrypoint
    * @return {!GraphNode}
    */
-  async getDependenciesForFile(filepath, visitedFiles = new Set()) {
+  async getDependenciesForFile(filepath, visitedFiles = new Set(), importChain = []) {
     let deps = [];
     let parsedDeps = [];
     let childChunks = [];
@@ -263,22 +1159,23 @@ export default class DepsFinder {
       childChunks = Array.from(cachedDeps.childChunks);
       packageJsonFiles = Array.from(cachedDeps.packageJsonFiles);
     } else {
-      if (!filepath.endsWith('.json')) {
-        const fileContents = await this.#fs.readFile(filepath, 'utf8');
-        try {
-          const ast = Parser.parse(fileContents, {
-            ecmaVersion: 'latest',
-            sourceType: 'module'
-          });
-          const depInfo = await this.findDeps(filepath, ast);
+      const googDependency = this.#googDependencies.get(filepath);
+      if (googDependency && googDependency.moduleType !== 'es6') {
+        const depInfo = this.#findGoogDependencyDeps(googDependency);
+        parsedDeps = Array.from(depInfo.deps);
+        this.#fileDepsCache.set(filepath, depInfo);
+      } else if (!filepath.endsWith('.json')) {
+        const depInfo = await this.#parseFile(filepath);
+        if (depInfo) {
           parsedDeps = Array.from(depInfo.deps);
           childChunks = Array.from(depInfo.childChunks);
           packageJsonFiles = Array.from(depInfo.packageJsonFiles);
           this.#fileDepsCache.set(filepath, depInfo);
-        } catch (e) {
-          console.error(filepath, e);
         }
       }
+      (this.#fileDiagnostics.get(filepath) || []).forEach((diagnostic) => {
+        diagnostic.importChain = importChain;
+      });
     }
     visitedFiles.add(filepath);
     const depsToHoist = (this.#dependenciesToHoist.get(filepath) || [])
@@ -288,7 +1185,8 @@ export default class DepsFinder {
       if (depsToTransit[i] === filepath) {
         deps = deps.concat([depsToTransit[i]]);
       } else if (!visitedFiles.has(depsToTransit[i])) {
-        let transientDepInfo = await this.getDependenciesForFile(depsToTransit[i], visitedFiles);
+        let transientDepInfo =
+            await this.getDependenciesForFile(depsToTransit[i], visitedFiles, importChain.concat(filepath));
         const transientDeps = Array.from(transientDepInfo.deps);
         transientDepInfo = new GraphNode(
             transientDepInfo.name,
@@ -314,21 +1212,133 @@ export default class DepsFinder {
    * Constructs a graph from an entrypoint. Each node represents an output chunk and contains the chunk name,
    * static dependencies as well as references to child chunks which are dynamically imported.
    *
+   * Dynamically imported files given the same name with a magic comment are combined into a single chunk. The chunk
+   * is named after the first of those files found. Files given different names are reported as diagnostics.
+   *
+   * A primary entrypoint without files becomes a synthetic chunk which loads before each of the other entrypoints.
+   * A chunk name given to a manual entrypoint takes precedence over names requested with magic comments.
+   *
    * @param {!Array<{name:string, files: !Array<string>}>} entrypoints paths from which to start building the graph
-   * @param {!Array<{parent: string, child: {name: string, files: !Array<string>}}>} manualEntrypoints paths from which
-   *     to start building the graph
+   * @param {!Array<{
+   *   parent: string,
+   *   child: {name: string, files: !Array<string>, chunkName: (string|undefined)}
+   * }>} manualEntrypoints paths from which to start building the graph
+   * @return {!{
+   *   graph: !graphlib.Graph,
+   *   entrypoint: string,
+   *   chunkNames: !Map<string, string>,
+   *   groupedChunks: !Map<string, string>
+   * }} chunkNames are the names requested for chunks. groupedChunks maps each dynamically imported file which
+   *     was combined with others to its chunk.
+   */
+  async fromEntryPoints(entrypoints, manualEntrypoints = []) {
+    this.#graphDiagnostics = [];
+    let graphData = await this.#buildGraph(entrypoints, manualEntrypoints, new Map());
+    const explicitEntrypoints = new Set(entrypoints.map(({name}) => name)
+        .concat(manualEntrypoints.map(({child}) => child.name)));
+    const {chunkNames, chunkGroups} = this.#findChunkNames(graphData.graph, explicitEntrypoints);
+    manualEntrypoints.forEach(({child}) => {
+      if (child.chunkName !== undefined) {
+        chunkNames.set(child.name, child.chunkName);
+      }
+    });
+    if (chunkGroups.size > 0) {
+      // Every file is already parsed, so building again only combines the grouped chunks
+      graphData = await this.#buildGraph(entrypoints, manualEntrypoints, chunkGroups);
+    }
+    const groupedChunks = new Map();
+    chunkGroups.forEach(({name}, filepath) => groupedChunks.set(filepath, name));
+    return {
+      graph: graphData.graph,
+      entrypoint: graphData.entrypoint,
+      chunkNames,
+      groupedChunks
+    };
+  }
+
+  /**
+   * Collect the chunk names requested with magic comments by the files of a graph. Files given the same name are
+   * grouped so that they can be combined into a single chunk.
+   *
+   * @param {!graphlib.Graph} graph
+   * @param {!Set<string>} explicitEntrypoints entrypoints given as options, which are never grouped
+   * @return {{
+   *   chunkNames: !Map<string, string>,
+   *   chunkGroups: !Map<string, {name: string, files: !Array<string>}>
+   * }}
+   */
+  #findChunkNames(graph, explicitEntrypoints) {
+    /** @type {!Map<string, {chunkName: string, requestedBy: string}>} */
+    const requests = new Map();
+    const reportedConflicts = new Set();
+    graph.nodes().forEach((nodeName) => {
+      graph.node(nodeName).deps.forEach((filepath) => {
+        const fileDeps = this.#fileDepsCache.get(filepath);
+        if (!fileDeps) {
+          return;
+        }
+        fileDeps.childChunkNames.forEach((chunkName, childChunk) => {
+          if (explicitEntrypoints.has(childChunk) || !graph.hasNode(childChunk)) {
+            return;
+          }
+          const request = requests.get(childChunk);
+          if (!request) {
+            requests.set(childChunk, {chunkName, requestedBy: filepath});
+          } else if (request.chunkName !== chunkName && !reportedConflicts.has(`${childChunk}:${chunkName}`)) {
+            reportedConflicts.add(`${childChunk}:${chunkName}`);
+            this.#graphDiagnostics.push(new Diagnostic({
+              code: DIAGNOSTIC_CODE.CONFLICTING_CHUNK_NAMES,
+              message: `${path.relative(process.cwd(), childChunk)} is imported with chunk name "${chunkName}", ` +
+                  `but with chunk name "${request.chunkName}" in ${path.relative(process.cwd(), request.requestedBy)}`,
+              file: filepath
+            }));
+          }
+        });
+      });
+    });
+
+    /** @type {!Map<string, !Array<string>>} */
+    const filesByChunkName = new Map();
+    graph.nodes().forEach((nodeName) => {
+      const request = requests.get(nodeName);
+      if (!request) {
+        return;
+      }
+      const files = filesByChunkName.get(request.chunkName) || [];
+      files.push(nodeName);
+      filesByChunkName.set(request.chunkName, files);
+    });
+    const chunkNames = new Map();
+    const chunkGroups = new Map();
+    filesByChunkName.forEach((files, chunkName) => {
+      chunkNames.set(files[0], chunkName);
+      if (files.length > 1) {
+        const chunkGroup = {name: files[0], files};
+        files.forEach((filepath) => chunkGroups.set(filepath, chunkGroup));
+      }
+    });
+    return {chunkNames, chunkGroups};
+  }
+
+  /**
+   * @param {!Array<{name:string, files: !Array<string>}>} entrypoints
+   * @param {!Array<{parent: string, child: {name: string, files: !Array<string>}}>} manualEntrypoints
+   * @param {!Map<string, {name: string, files: !Array<string>}>} chunkGroups chunk containing each grouped file
    * @return {!{
    *   graph: !graphlib.Graph,
    *   entrypoint: string
    * }}
    */
-  async fromEntryPoints(entrypoints, manualEntrypoints = []) {
+  async #buildGraph(entrypoints, manualEntrypoints, chunkGroups) {
     const graph = new graphlib.Graph({directed: true, compound: false});
     entrypoints = entrypoints.slice();
     let graphEntrypoint = entrypoints[0].name;
 
     entrypoints.forEach((entrypoint, index) => {
-      graph.setNode(entrypoint.name, new GraphNode(entrypoint.name));
+      const entrypointNode = new GraphNode(entrypoint.name);
+      // An entrypoint without files only joins independent roots into a single graph
+      entrypointNode.synthetic = entrypoint.files.length === 0;
+      graph.setNode(entrypoint.name, entrypointNode);
       if (index === 0) {
         graphEntrypoint = entrypoint.name;
       } else {
@@ -344,17 +1354,27 @@ export default class DepsFinder {
       }
       visitedEntryPoints.add(entrypoint.name);
       const currentChunk = graph.node(entrypoint.name);
-      for (let i = 0; i < entrypoint.files.length; i++) {
-        const {deps, childChunks, packageJsonFiles} = await this.getDependenciesForFile(entrypoint.files[i]);
-        currentChunk.deps = deps;
-        currentChunk.childChunks = childChunks;
-        currentChunk.packageJsonFiles = packageJsonFiles;
-        childChunks.forEach(chunkEntryPoint => {
+      // Without an entrypoint file to hoist sources into, a synthetic chunk contains the hoisted sources themselves
+      const entrypointFiles = currentChunk.synthetic ?
+          this.#dependenciesToHoist.get(entrypoint.name) || [] :
+          entrypoint.files;
+      for (let i = 0; i < entrypointFiles.length; i++) {
+        const {deps, childChunks, packageJsonFiles} = await this.getDependenciesForFile(entrypointFiles[i]);
+        // Chunks with several files contain the dependencies of each
+        deps.forEach((dep) => currentChunk.deps.add(dep));
+        childChunks.forEach((childChunk) => currentChunk.childChunks.add(childChunk));
+        packageJsonFiles.forEach((packageJsonFile) => currentChunk.packageJsonFiles.add(packageJsonFile));
+        childChunks.forEach(childChunkFile => {
+          const chunkGroup = chunkGroups.get(childChunkFile);
+          const chunkEntryPoint = chunkGroup ? chunkGroup.name : childChunkFile;
+          if (chunkEntryPoint === currentChunk.name) {
+            return;
+          }
           let chunk = graph.node(chunkEntryPoint);
           if (!chunk) {
             chunk = new GraphNode(chunkEntryPoint, new Set(), new Set(), new Set());
             graph.setNode(chunkEntryPoint, chunk);
-            entrypoints.push({
+            entrypoints.push(chunkGroup || {
               name: chunkEntryPoint,
               files: [chunkEntryPoint]
             });
@@ -0,0 +1,116 @@
+import path from 'path';
+
+/** @enum {string} */
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/** @enum {string} */
+export const DIAGNOSTIC_CODE = {
+  PARSE_ERROR: 'ParseError',
+  UNREADABLE_FILE: 'UnreadableFile',
+  UNRESOLVED_MODULE: 'UnresolvedModule',
+  MISSING_GOOG_DEPS_MAP: 'MissingGoogDepsMap',
+  UNKNOWN_GOOG_NAMESPACE: 'UnknownGoogNamespace',
+  CHUNK_ENTRYPOINT_NOT_IN_SOURCES: 'ChunkEntrypointNotInSources',
+  CIRCULAR_CHUNK_REFERENCE: 'CircularChunkReference',
+  UNSORTABLE_CHUNKS: 'UnsortableChunks',
+  CHUNK_SIZE_BUDGET_EXCEEDED: 'ChunkSizeBudgetExceeded',
+  DYNAMIC_IMPORT_NOT_EXPANDABLE: 'DynamicImportNotExpandable',
+  DYNAMIC_IMPORT_NO_MATCHES: 'DynamicImportNoMatches',
+  CONFLICTING_CHUNK_NAMES: 'ConflictingChunkNames',
+  DYNAMIC_REQUIRE: 'DynamicRequire',
+  DUPLICATE_GOOG_NAMESPACE: 'DuplicateGoogNamespace',
+  MALFORMED_GOOG_DEPENDENCY: 'MalformedGoogDependency',
+  CHUNK_MERGE_SKIPPED: 'ChunkMergeSkipped'
+};
+
+/** @enum {string} */
+export const DIAGNOSTICS_FORMAT = {
+  TEXT: 'text',
+  JSON: 'json'
+};
+
+/**
+ * A problem found while building a chunk graph. Locations are 1-based lines and 0-based columns as reported
+ * by acorn. The import chain lists the files, starting from an entrypoint, through which the file was reached.
+ */
+export class Diagnostic {
+  /**
+   * @param {{
+   *   code: !DIAGNOSTIC_CODE,
+   *   severity: (!SEVERITY|undefined),
+   *   message: string,
+   *   file: (string|undefined),
+   *   line: (number|undefined),
+   *   column: (number|undefined),
+   *   importChain: (!Array<string>|undefined)
+   * }} details
+   */
+  constructor({code, severity = SEVERITY.ERROR, message, file, line, column, importChain = []}) {
+    this.code = code;
+    this.severity = severity;
+    this.message = message;
+    this.file = file;
+    this.line = line;
+    this.column = column;
+    this.importChain = importChain;
+  }
+
+  /** @return {string} */
+  toString() {
+    let location = '';
+    if (this.file) {
+      location = path.relative(process.cwd(), this.file);
+      if (this.line !== undefined) {
+        location += `:${this.line}:${this.column}`;
+      }
+      location += ' - ';
+    }
+    const importedFrom = this.importChain.slice().reverse()
+        .map((filepath) => `\n    imported from ${path.relative(process.cwd(), filepath)}`);
+    return `${location}${this.severity} ${this.code}: ${this.message}${importedFrom.join('')}`;
+  }
+
+  /** @return {!Object<string, *>} */
+  toJSON() {
+    return {
+      code: this.code,
+      severity: this.severity,
+      message: this.message,
+      file: this.file,
+      line: this.line,
+      column: this.column,
+      importChain: this.importChain
+    };
+  }
+}
+
+/**
+ * Error thrown when a result cannot be produced. Contains the diagnostics which describe why.
+ */
+export class DiagnosticError extends Error {
+  /**
+   * @param {string} message
+   * @param {!Array<!Diagnostic>} diagnostics
+   */
+  constructor(message, diagnostics) {
+    super(message);
+    this.name = 'DiagnosticError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * @param {!Array<!Diagnostic>} diagnostics
+ * @param {!DIAGNOSTICS_FORMAT=} format
+ * @return {string}
+ */
+export function formatDiagnostics(diagnostics, format = DIAGNOSTICS_FORMAT.TEXT) {
+  if (format === DIAGNOSTICS_FORMAT.JSON) {
+    return JSON.stringify(diagnostics, null, 2) + '\n';
+  }
+  return diagnostics.map((diagnostic) => `${diagnostic}\n`).join('');
+}
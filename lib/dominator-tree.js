@@ -0,0 +1,166 @@
+import graphlib from 'graphlib';
+
+/**
+ * Dominator tree of a chunk graph. A node dominates another when it exists on every path from the entrypoint
+ * to that node. Paths start at the entrypoint or at any node without parents.
+ *
+ * Built with the iterative algorithm of Cooper, Harvey and Kennedy, "A Simple, Fast Dominance Algorithm". Nodes
+ * are numbered so that the work is done on arrays of indexes. The last index is a virtual root which is the
+ * parent of every path start.
+ */
+export default class DominatorTree {
+  /** @type {!Array<string>} */
+  #nodes = [];
+  /** @type {!Map<string, number>} */
+  #nodeIndexes = new Map();
+  /** @type {!Int32Array} */
+  #postorderNumbers = undefined;
+  /** @type {!Int32Array} immediate dominator of each node, or -1 when the node is unreachable */
+  #immediateDominators = undefined;
+  /** @type {number} */
+  #root = 0;
+
+  /**
+   * @param {string} entrypoint
+   * @param {!graphlib.Graph} graph
+   */
+  constructor(entrypoint, graph) {
+    this.#nodes = graph.nodes();
+    this.#nodes.forEach((nodeName, index) => this.#nodeIndexes.set(nodeName, index));
+    const root = this.#nodes.length;
+    this.#root = root;
+
+    /** @type {!Array<!Array<number>>} */
+    const parents = this.#nodes.map((nodeName) => {
+      const nodeParents = graph.inEdges(nodeName).map(({v}) => this.#nodeIndexes.get(v));
+      if (nodeParents.length === 0 || nodeName === entrypoint) {
+        nodeParents.push(root);
+      }
+      return nodeParents;
+    });
+    /** @type {!Array<!Array<number>>} */
+    const children = this.#nodes.map((nodeName) => graph.outEdges(nodeName).map(({w}) => this.#nodeIndexes.get(w)));
+    children.push([]);
+    parents.forEach((nodeParents, index) => {
+      if (nodeParents.includes(root)) {
+        children[root].push(index);
+      }
+    });
+
+    // Number the nodes in postorder with a depth first search. Avoid recursion to stay within call stack limits.
+    const postorderNumbers = new Int32Array(root + 1).fill(-1);
+    const reversePostorder = [];
+    const visited = new Uint8Array(root + 1);
+    const stack = [[root, 0]];
+    visited[root] = 1;
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const [node, childIndex] = top;
+      if (childIndex < children[node].length) {
+        top[1]++;
+        const child = children[node][childIndex];
+        if (!visited[child]) {
+          visited[child] = 1;
+          stack.push([child, 0]);
+        }
+      } else {
+        stack.pop();
+        postorderNumbers[node] = reversePostorder.length;
+        reversePostorder.push(node);
+      }
+    }
+    reversePostorder.reverse();
+    this.#postorderNumbers = postorderNumbers;
+
+    const immediateDominators = new Int32Array(root + 1).fill(-1);
+    immediateDominators[root] = root;
+    this.#immediateDominators = immediateDominators;
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let i = 1; i < reversePostorder.length; i++) {
+        const node = reversePostorder[i];
+        let newImmediateDominator = -1;
+        for (let j = 0; j < parents[node].length; j++) {
+          const parent = parents[node][j];
+          if (immediateDominators[parent] === -1) {
+            continue;
+          }
+          newImmediateDominator = newImmediateDominator === -1 ?
+              parent :
+              this.#intersect(parent, newImmediateDominator);
+        }
+        if (immediateDominators[node] !== newImmediateDominator) {
+          immediateDominators[node] = newImmediateDominator;
+          changed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the closest common dominator of two nodes by walking up the tree from the node with the lower postorder
+   * number.
+   *
+   * @param {number} a
+   * @param {number} b
+   * @return {number}
+   */
+  #intersect(a, b) {
+    while (a !== b) {
+      while (this.#postorderNumbers[a] < this.#postorderNumbers[b]) {
+        a = this.#immediateDominators[a];
+      }
+      while (this.#postorderNumbers[b] < this.#postorderNumbers[a]) {
+        b = this.#immediateDominators[b];
+      }
+    }
+    return a;
+  }
+
+  /**
+   * Find the nodes which exist on every path to each of the given nodes. The nodes are ordered from the lowest
+   * in the tree to the entrypoint.
+   *
+   * @param {!Array<string>} nodeNames
+   * @return {!Array<string>}
+   */
+  commonDominators(nodeNames) {
+    let commonDominator = -1;
+    for (let i = 0; i < nodeNames.length; i++) {
+      const node = this.#nodeIndexes.get(nodeNames[i]);
+      if (node === undefined || this.#immediateDominators[node] === -1) {
+        // No path reaches the node
+        return [];
+      }
+      commonDominator = commonDominator === -1 ? node : this.#intersect(node, commonDominator);
+    }
+    const dominators = [];
+    for (let node = commonDominator; node !== -1 && node !== this.#root; node = this.#immediateDominators[node]) {
+      dominators.push(this.#nodes[node]);
+    }
+    return dominators;
+  }
+
+  /**
+   * Update the tree after a node is merged into its immediate dominator, with its children becoming children of
+   * that dominator. The nodes it dominated are then immediately dominated by the node it was merged into, and every
+   * other dominator is unchanged.
+   *
+   * @param {string} nodeName
+   */
+  mergeIntoImmediateDominator(nodeName) {
+    const node = this.#nodeIndexes.get(nodeName);
+    if (node === undefined) {
+      return;
+    }
+    const immediateDominator = this.#immediateDominators[node];
+    for (let i = 0; i < this.#immediateDominators.length; i++) {
+      if (this.#immediateDominators[i] === node) {
+        this.#immediateDominators[i] = immediateDominator;
+      }
+    }
+    this.#immediateDominators[node] = -1;
+    this.#nodeIndexes.delete(nodeName);
+  }
+}
@@ -0,0 +1,149 @@
+import graphlib from 'graphlib';
+import path from 'path';
+import ChunkGraph from './chunk-graph.js';
+import commonAncestors from './common-ancestors.js';
+import DominatorTree from './dominator-tree.js';
+import {DiagnosticError} from './diagnostics.js';
+import lowestCommonAncestor from './lowest-common-ancestor.js';
+import {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
+
+/**
+ * @typedef {{
+ *   file: string,
+ *   chunk: ?string,
+ *   sharedChunk: boolean,
+ *   hoistedInto: ?string,
+ *   importedBy: !Array<{file: string, chunk: ?string}>,
+ *   directlyImportedIn: !Array<string>,
+ *   transitivelyImportedIn: !Array<string>,
+ *   dominatorChains: !Array<!Array<string>>,
+ *   commonAncestors: !Array<string>,
+ *   lowestCommonAncestor: ?string,
+ *   diagnostics: !Array<!Diagnostic>
+ * }} SourceExplanation
+ */
+
+/**
+ * Explain why a source file was placed in its output chunk.
+ *
+ * Chunks which need the file are those which reach it through their static imports. A chunk imports the file
+ * directly when a file which imports it is part of that chunk. When more than one chunk needs the file, it is
+ * hoisted to the lowest common ancestor of those chunks: the lowest chunk present on every path from each of them
+ * to the entrypoint, unless it was extracted into a shared chunk loaded after that ancestor. The chunk it was
+ * hoisted into is reported separately rather than as one of the chunks which need it.
+ *
+ * Rather than every path to the entrypoint, which grows exponentially with the number of diamonds in the graph,
+ * each chunk which needs the file is reported with its chain of dominators: the chunks present on every path from
+ * it to the entrypoint.
+ *
+ * A circular chunk graph has no load order, so its chunks are named in graph order instead and the diagnostics
+ * explaining why are included.
+ *
+ * @param {!ChunkGraph} chunkGraph
+ * @param {string} filepath
+ * @param {string=} namePrefix
+ * @param {!NAMING_STYLE=} namingStyle
+ * @return {!SourceExplanation} chunks are identified by their output names
+ */
+export default function explainSource(chunkGraph, filepath, namePrefix = '', namingStyle = NAMING_STYLE.ENTRYPOINT) {
+  const {graph, entrypoint} = chunkGraph;
+  const getOutputChunkName = outputChunkNaming(
+      entrypoint, namePrefix, namingStyle, chunkGraph.chunkNames, chunkGraph.contentHashes);
+  let diagnostics = [];
+  let chunkLoadOrder;
+  try {
+    chunkLoadOrder = chunkGraph.getChunkLoadOrder();
+  } catch (e) {
+    if (!(e instanceof DiagnosticError)) {
+      throw e;
+    }
+    diagnostics = e.diagnostics;
+    chunkLoadOrder = graph.nodes();
+  }
+  // Name the chunks in load order so that numbered names match those of getClosureCompilerFlags
+  chunkLoadOrder.forEach(getOutputChunkName);
+
+  /** @param {string} source */
+  const chunkContaining = (source) => graph.nodes().find((nodeName) => graph.node(nodeName).sources.has(source));
+
+  const importers = Array.from(chunkGraph.sourceReferences.get(filepath) || [])
+      .filter((importer) => importer !== filepath);
+  const importerChunks = new Set(importers.map(chunkContaining));
+  const containingChunk = chunkContaining(filepath);
+  // A chunk which contains an imported file without containing any of its importers had it hoisted into it
+  const hoistTarget = containingChunk && importers.length > 0 && !graph.node(containingChunk).shared &&
+      !importerChunks.has(containingChunk) ? containingChunk : null;
+  // Shared chunks and the hoist target only contain the file because it was moved from the chunks which need it
+  const referencingChunks = graph.nodes().filter((nodeName) =>
+      nodeName !== hoistTarget && !graph.node(nodeName).shared && graph.node(nodeName).deps.has(filepath));
+
+  const dominatorTree = new DominatorTree(entrypoint, graph);
+  const dominatorChains = referencingChunks.map((chunk) => dominatorTree.commonDominators([chunk]));
+  const {commonNodes} = commonAncestors(entrypoint, referencingChunks, graph, dominatorTree);
+  let lca = null;
+  if (referencingChunks.length > 0) {
+    const nodeDistanceFromEntrypoint = graphlib.alg.dijkstra(graph, entrypoint, () => 1);
+    lca = lowestCommonAncestor(entrypoint, referencingChunks, graph, nodeDistanceFromEntrypoint, dominatorTree);
+  }
+
+  return {
+    file: filepath,
+    chunk: containingChunk ? getOutputChunkName(containingChunk) : null,
+    sharedChunk: containingChunk ? graph.node(containingChunk).shared : false,
+    hoistedInto: hoistTarget ? getOutputChunkName(hoistTarget) : null,
+    importedBy: importers.map((importer) => {
+      const importerChunk = chunkContaining(importer);
+      return {
+        file: importer,
+        chunk: importerChunk ? getOutputChunkName(importerChunk) : null
+      };
+    }),
+    directlyImportedIn: referencingChunks.filter((nodeName) => importerChunks.has(nodeName)).map(getOutputChunkName),
+    transitivelyImportedIn: referencingChunks.filter((nodeName) => !importerChunks.has(nodeName))
+        .map(getOutputChunkName),
+    dominatorChains: dominatorChains.map((dominatorChain) => dominatorChain.map(getOutputChunkName)),
+    commonAncestors: Array.from(commonNodes).map(getOutputChunkName),
+    lowestCommonAncestor: lca ? getOutputChunkName(lca) : null,
+    diagnostics
+  };
+}
+
+/**
+ * Format the result of explainSource for display.
+ *
+ * @param {!SourceExplanation} explanation
+ * @return {string}
+ */
+export function formatExplanation(explanation) {
+  const lines = [];
+  const relativePath = path.relative(process.cwd(), explanation.file);
+  if (!explanation.chunk) {
+    return `${relativePath} is not part of any chunk\n`;
+  }
+  lines.push(`${relativePath} is in chunk ${explanation.chunk}`);
+  if (explanation.diagnostics.length > 0) {
+    lines.push('', 'The chunk graph is circular, so chunks are not named in load order:');
+    explanation.diagnostics.forEach(({message}) => lines.push(`  ${message}`));
+  }
+  lines.push('', 'Imported by:');
+  if (explanation.importedBy.length === 0) {
+    lines.push('  (chunk entrypoint)');
+  }
+  explanation.importedBy.forEach(({file, chunk}) => {
+    lines.push(`  ${path.relative(process.cwd(), file)} (chunk ${chunk})`);
+  });
+  lines.push('', `Chunks importing it directly: ${explanation.directlyImportedIn.join(', ') || '(none)'}`);
+  lines.push(`Chunks importing it transitively: ${explanation.transitivelyImportedIn.join(', ') || '(none)'}`);
+  lines.push('', 'Chunks on every path from each of those chunks to the entrypoint:');
+  explanation.dominatorChains.forEach((dominatorChain) => lines.push(`  ${dominatorChain.join(' -> ')}`));
+  lines.push('', `Chunks common to every path: ${explanation.commonAncestors.join(', ')}`);
+  lines.push(`Lowest common ancestor: ${explanation.lowestCommonAncestor}`);
+  if (explanation.hoistedInto) {
+    lines.push('', `Hoisted into ${explanation.hoistedInto} because more than one chunk imports it`);
+  }
+  if (explanation.sharedChunk) {
+    lines.push('', `Extracted into shared chunk ${explanation.chunk}, which loads after ` +
+        `${explanation.lowestCommonAncestor}, because it exceeds the shared chunk thresholds`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -4,6 +4,7 @@ import path from 'path';
 import Module from 'module';
 import url from 'url';
 import ChunkGraph from './chunk-graph.js';
+import calculateChunkSizes from './chunk-sizes.js';
 import {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
 
 function hsv2rgb(h, s, v) {
@@ -38,24 +39,33 @@ function percentageToColor(p) {
   return `rgb(${rgb.map((x) => Math.floor(256 * x)).join(',')})`;
 }
 
+/**
+ * @param {number} bytes
+ * @return {string}
+ */
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KiB`;
+}
+
 /**
  * @param {!graphlib.Graph} graph
  * @param {function(string): string} getOutputChunkName
+ * @param {!Map<string, !ChunkSize>} chunkSizes
  * @return {{nodes: Array, edges: Array}}
  */
-function convertGraph(graph, getOutputChunkName) {
+function convertGraph(graph, getOutputChunkName, chunkSizes) {
   const chunkCount = graph.nodes().length;
   const nodes = [];
   const edges = [];
   let maxSize = 0;
   graph.nodes().forEach((nodeName) => {
-    maxSize = Math.max(maxSize, graph.node(nodeName).sources.size);
+    maxSize = Math.max(maxSize, chunkSizes.get(nodeName).raw);
   });
   graph.nodes().forEach((nodeName, idx) => {
-    const node = graph.node(nodeName);
+    const chunkSize = chunkSizes.get(nodeName);
     const chunkName = getOutputChunkName(nodeName);
     let color = percentageToColor(
-        Math.pow((node.sources.size + 1) / (maxSize + 1), 1 / 4)
+        Math.pow((chunkSize.raw + 1) / (maxSize + 1), 1 / 4)
     );
     if (graph.outEdges(nodeName).length === 0) {
       color = 'rgba(02,02,02,.3)';
@@ -63,9 +73,10 @@ function convertGraph(graph, getOutputChunkName) {
     nodes.push({
       id: nodeName,
       chunkId: nodeName,
-      size: Math.ceil(Math.sqrt(node.sources.size + 1)),
+      size: Math.ceil(Math.sqrt(chunkSize.raw / 1024 + 1)),
       shortLabel: chunkName,
-      label: chunkName,
+      label: `${chunkName} (${formatBytes(chunkSize.raw)}, ${formatBytes(chunkSize.gzip)} gzip, ` +
+          `${formatBytes(chunkSize.brotli)} brotli)`,
       x: Math.cos((idx / chunkCount) * Math.PI * 2) * chunkCount,
       y: Math.sin((idx / chunkCount) * Math.PI * 2) * chunkCount,
       color: color
@@ -100,14 +111,16 @@ const require = Module.createRequire(import.meta.url);
  * @return {!Promise<string>}
  */
 export default async function generateHtml(chunkGraph, namePrefix, namingStyle = NAMING_STYLE.ENTRYPOINT) {
-  const getOutputChunkName = outputChunkNaming(chunkGraph.entrypoint, namePrefix, namingStyle);
+  const getOutputChunkName = outputChunkNaming(
+      chunkGraph.entrypoint, namePrefix, namingStyle, chunkGraph.chunkNames, chunkGraph.contentHashes);
+  const chunkSizes = await calculateChunkSizes(chunkGraph);
   const replacements = {
     'entrypoint': getOutputChunkName(chunkGraph.entrypoint),
     'graphlib_path': require.resolve('graphlib/dist/graphlib.min.js'),
     'sigma_path': require.resolve('sigma/build/sigma.min.js'),
     'sigma_force_atlas_path': require.resolve('sigma/build/plugins/sigma.layout.forceAtlas2.min.js'),
-    'load_graph': JSON.stringify(convertGraph(chunkGraph.graph, getOutputChunkName)),
-    'dep_graph': JSON.stringify(convertGraph(chunkGraph.toDependencyGraph(), getOutputChunkName))
+    'load_graph': JSON.stringify(convertGraph(chunkGraph.graph, getOutputChunkName, chunkSizes)),
+    'dep_graph': JSON.stringify(convertGraph(chunkGraph.toDependencyGraph(), getOutputChunkName, chunkSizes))
   };
 
   const templateContents = await new Promise((resolve, reject) => {
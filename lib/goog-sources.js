@@ -0,0 +1,221 @@
+import {simple as simpleWalk} from 'acorn-walk';
+import fs from 'fs/promises';
+import path from 'path';
+import {DIAGNOSTIC_CODE, Diagnostic, SEVERITY} from './diagnostics.js';
+import {DEFAULT_PARSERS, getParserForFile} from './parsers.js';
+
+/**
+ * @typedef {{
+ *   filepath: string,
+ *   provides: !Array<string>,
+ *   requires: !Array<string>,
+ *   imports: !Array<string>,
+ *   moduleType: ?string
+ * }} GoogSource
+ */
+
+/**
+ * Find every source file below a directory. Hidden directories and node_modules are skipped. Directories which
+ * cannot be read are reported as diagnostics.
+ *
+ * @param {string} directory
+ * @param {!Set<string>} extensions
+ * @param {!Array<!Diagnostic>} diagnostics
+ * @param {!SEVERITY=} severity of the diagnostic reported when the directory cannot be read
+ * @return {!Promise<!Array<string>>}
+ */
+async function findSourceFiles(directory, extensions, diagnostics, severity = SEVERITY.WARNING) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, {withFileTypes: true});
+  } catch (e) {
+    diagnostics.push(new Diagnostic({
+      code: DIAGNOSTIC_CODE.UNREADABLE_FILE,
+      severity,
+      message: `Unable to read goog source directory: ${e.message}`,
+      file: directory
+    }));
+    return [];
+  }
+  const sourceFiles = [];
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory() && entry.name[0] !== '.' && entry.name !== 'node_modules') {
+      sourceFiles.push(...await findSourceFiles(entryPath, extensions, diagnostics));
+    } else if (entry.isFile() && extensions.has(path.extname(entry.name))) {
+      sourceFiles.push(entryPath);
+    }
+  }
+  return sourceFiles;
+}
+
+/**
+ * @param {!Object} node call expression
+ * @param {!Set<string>} functionNames
+ * @return {?string} the namespace passed to one of the named goog functions
+ */
+function googNamespaceArgument(node, functionNames) {
+  if (node.callee.type === 'MemberExpression' &&
+      node.callee.object.type === 'Identifier' &&
+      node.callee.object.name === 'goog' &&
+      node.callee.property.type === 'Identifier' &&
+      functionNames.has(node.callee.property.name) &&
+      node.arguments.length === 1 &&
+      node.arguments[0].type === 'Literal' &&
+      typeof node.arguments[0].value === 'string') {
+    return node.arguments[0].value;
+  }
+  return null;
+}
+
+const PROVIDE_FUNCTIONS = new Set(['provide', 'module', 'declareModuleId']);
+const REQUIRE_FUNCTIONS = new Set(['require']);
+
+/**
+ * Record the ES import or re-export of a module. Imports of "goog:" specifiers require the namespace and relative
+ * imports are recorded as absolute paths. Other specifiers are not known to the Closure Library loader.
+ *
+ * @param {!GoogSource} source
+ * @param {!Object} node import or export declaration
+ */
+function addEsImport(source, node) {
+  source.moduleType = source.moduleType || 'es6';
+  if (!node.source || typeof node.source.value !== 'string') {
+    return;
+  }
+  const specifier = node.source.value;
+  if (specifier.startsWith('goog:')) {
+    const namespace = specifier.slice('goog:'.length);
+    if (!source.requires.includes(namespace)) {
+      source.requires.push(namespace);
+    }
+  } else if (/^\.{1,2}\//.test(specifier)) {
+    const importedPath = path.resolve(path.dirname(source.filepath), specifier);
+    if (!source.imports.includes(importedPath)) {
+      source.imports.push(importedPath);
+    }
+  }
+}
+
+/**
+ * Crawl source directories for Closure Library namespaces declared with goog.provide, goog.module and
+ * goog.declareModuleId. Files are read in path order and the first file to declare a namespace provides it.
+ * Later declarations of the namespace are reported as errors, as are source roots which cannot be read. Files and
+ * directories below the roots which cannot be read or parsed are reported as warnings since they may not be part of
+ * the graph.
+ *
+ * @param {!Array<string>} sourceRoots directories to crawl
+ * @param {!Map<string, !SourceParser>=} parsers source parsers keyed by file extension
+ * @return {!Promise<{
+ *   googDepsMap: !Map<string, string>,
+ *   sources: !Array<!GoogSource>,
+ *   diagnostics: !Array<!Diagnostic>
+ * }>} sources which declare at least one namespace
+ */
+export default async function scanGoogSources(sourceRoots, parsers = DEFAULT_PARSERS) {
+  const extensions = new Set(['.js', ...parsers.keys()]);
+  const sourceFiles = new Set();
+  const diagnostics = [];
+  for (const sourceRoot of sourceRoots) {
+    (await findSourceFiles(sourceRoot, extensions, diagnostics, SEVERITY.ERROR))
+        .forEach((sourceFile) => sourceFiles.add(sourceFile));
+  }
+  const googDepsMap = new Map();
+  const sources = [];
+  for (const filepath of Array.from(sourceFiles).sort()) {
+    let contents;
+    try {
+      contents = await fs.readFile(filepath, 'utf8');
+    } catch (e) {
+      diagnostics.push(new Diagnostic({
+        code: DIAGNOSTIC_CODE.UNREADABLE_FILE,
+        severity: SEVERITY.WARNING,
+        message: e.message,
+        file: filepath
+      }));
+      continue;
+    }
+    if (!contents.includes('goog.')) {
+      continue;
+    }
+    let ast;
+    try {
+      ast = await getParserForFile(filepath, parsers)(contents, filepath);
+    } catch (e) {
+      diagnostics.push(new Diagnostic({
+        code: DIAGNOSTIC_CODE.PARSE_ERROR,
+        severity: SEVERITY.WARNING,
+        message: e.message,
+        file: filepath,
+        line: e.loc ? e.loc.line : undefined,
+        column: e.loc ? e.loc.column : undefined
+      }));
+      continue;
+    }
+    /** @type {!GoogSource} */
+    const source = {filepath, provides: [], requires: [], imports: [], moduleType: null};
+    simpleWalk(ast, {
+      CallExpression(node) {
+        const providedNamespace = googNamespaceArgument(node, PROVIDE_FUNCTIONS);
+        const requiredNamespace = googNamespaceArgument(node, REQUIRE_FUNCTIONS);
+        if (providedNamespace !== null) {
+          if (node.callee.property.name === 'module') {
+            source.moduleType = 'goog';
+          }
+          if (!googDepsMap.has(providedNamespace)) {
+            googDepsMap.set(providedNamespace, filepath);
+            source.provides.push(providedNamespace);
+          } else {
+            diagnostics.push(new Diagnostic({
+              code: DIAGNOSTIC_CODE.DUPLICATE_GOOG_NAMESPACE,
+              message: `Namespace ${providedNamespace} is already provided by ${googDepsMap.get(providedNamespace)}`,
+              file: filepath,
+              line: node.loc ? node.loc.start.line : undefined,
+              column: node.loc ? node.loc.start.column : undefined
+            }));
+          }
+        } else if (requiredNamespace !== null && !source.requires.includes(requiredNamespace)) {
+          source.requires.push(requiredNamespace);
+        }
+      },
+      ImportDeclaration(node) {
+        addEsImport(source, node);
+      },
+      ExportNamedDeclaration(node) {
+        addEsImport(source, node);
+      },
+      ExportDefaultDeclaration(node) {
+        addEsImport(source, node);
+      },
+      ExportAllDeclaration(node) {
+        addEsImport(source, node);
+      }
+    });
+    if (source.provides.length > 0) {
+      sources.push(source);
+    }
+  }
+  return {googDepsMap, sources, diagnostics};
+}
+
+/**
+ * Write the goog.addDependency calls of a deps.js file for scanned sources. Paths are relative to the directory
+ * containing Closure Library's base.js. The relative ES imports of a module are listed in its requires by path, as
+ * Closure Library's own deps writer does.
+ *
+ * @param {!Array<!GoogSource>} sources
+ * @param {string} googBaseDir
+ * @return {string}
+ */
+export function formatGoogDeps(sources, googBaseDir) {
+  const quote = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  const quoteList = (values) => `[${values.map(quote).join(', ')}]`;
+  const relativeToBase = (filepath) => path.relative(googBaseDir, filepath).split(path.sep).join('/');
+  const lines = sources.map(({filepath, provides, requires, imports, moduleType}) => {
+    const allRequires = requires.concat(imports.map(relativeToBase));
+    const loadFlags = moduleType ? `{'module': ${quote(moduleType)}}` : '{}';
+    return `goog.addDependency(${quote(relativeToBase(filepath))}, ${quoteList(provides)}, ` +
+        `${quoteList(allRequires)}, ${loadFlags});`;
+  });
+  return ['// This file was generated by closure-calculate-chunks.', ...lines].join('\n') + '\n';
+}
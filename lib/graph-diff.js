@@ -0,0 +1,165 @@
+import path from 'path';
+import ChunkGraph from './chunk-graph.js';
+import {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
+
+/** @enum {string} */
+export const GRAPH_DIFF_FORMAT = {
+  TEXT: 'text',
+  JSON: 'json'
+};
+
+/**
+ * @typedef {{
+ *   chunks: {added: !Array<string>, removed: !Array<string>},
+ *   files: {
+ *     added: !Array<{file: string, chunk: string}>,
+ *     removed: !Array<{file: string, chunk: string}>,
+ *     moved: !Array<{file: string, from: string, to: string}>
+ *   },
+ *   dependencyEdges: {added: !Array<{parent: string, child: string}>, removed: !Array<{parent: string, child: string}>}
+ * }} GraphDiff
+ */
+
+/**
+ * Layout of a chunk graph with paths relative to the directory of its entrypoint.
+ *
+ * @typedef {{
+ *   chunkNames: !Map<string, string>,
+ *   sourceChunks: !Map<string, string>,
+ *   sourcePaths: !Map<string, string>,
+ *   dependencyEdges: !Array<!Array<string>>
+ * }} ChunkLayout
+ */
+
+/**
+ * @param {!ChunkGraph} chunkGraph
+ * @param {string} namePrefix
+ * @param {!NAMING_STYLE} namingStyle
+ * @return {!ChunkLayout}
+ */
+function chunkLayout(chunkGraph, namePrefix, namingStyle) {
+  const dependencyGraph = chunkGraph.toDependencyGraph();
+  const getOutputChunkName = outputChunkNaming(
+      chunkGraph.entrypoint, namePrefix, namingStyle, chunkGraph.chunkNames, chunkGraph.contentHashes);
+  // Name the chunks in load order so that numbered names match those of getClosureCompilerFlags
+  const loadOrder = chunkGraph.getChunkLoadOrder(dependencyGraph);
+  loadOrder.forEach(getOutputChunkName);
+
+  const baseDirectory = path.dirname(chunkGraph.entrypoint);
+  /** @param {string} filepath */
+  const relativePath = (filepath) => path.relative(baseDirectory, filepath);
+  const chunkNames = new Map();
+  const sourceChunks = new Map();
+  const sourcePaths = new Map();
+  loadOrder.forEach((chunkName) => {
+    chunkNames.set(relativePath(chunkName), getOutputChunkName(chunkName));
+    chunkGraph.graph.node(chunkName).sources.forEach((source) => {
+      sourceChunks.set(relativePath(source), relativePath(chunkName));
+      sourcePaths.set(relativePath(source), path.relative(process.cwd(), source));
+    });
+  });
+  return {
+    chunkNames,
+    sourceChunks,
+    sourcePaths,
+    dependencyEdges: dependencyGraph.edges().map(({v, w}) => [relativePath(v), relativePath(w)])
+  };
+}
+
+/**
+ * Compare two chunk graphs serialized with ChunkGraph#toJSON. Chunks are identified by the path of their entrypoint
+ * and files by their path, both relative to the directory of the graph entrypoint, so that graphs built in different
+ * checkouts can be compared. Chunks are reported by their name in the graph in which they appear.
+ *
+ * @param {!Object} before
+ * @param {!Object} after
+ * @param {string=} namePrefix
+ * @param {!NAMING_STYLE=} namingStyle
+ * @return {!GraphDiff}
+ */
+export function diffGraphSnapshots(before, after, namePrefix = '', namingStyle = NAMING_STYLE.ENTRYPOINT) {
+  const beforeLayout = chunkLayout(ChunkGraph.fromJSON(before), namePrefix, namingStyle);
+  const afterLayout = chunkLayout(ChunkGraph.fromJSON(after), namePrefix, namingStyle);
+
+  const files = {added: [], removed: [], moved: []};
+  afterLayout.sourceChunks.forEach((chunk, source) => {
+    const file = afterLayout.sourcePaths.get(source);
+    const previousChunk = beforeLayout.sourceChunks.get(source);
+    if (previousChunk === undefined) {
+      files.added.push({file, chunk: afterLayout.chunkNames.get(chunk)});
+    } else if (previousChunk !== chunk) {
+      files.moved.push(
+          {file, from: beforeLayout.chunkNames.get(previousChunk), to: afterLayout.chunkNames.get(chunk)});
+    }
+  });
+  beforeLayout.sourceChunks.forEach((chunk, source) => {
+    if (!afterLayout.sourceChunks.has(source)) {
+      files.removed.push({file: beforeLayout.sourcePaths.get(source), chunk: beforeLayout.chunkNames.get(chunk)});
+    }
+  });
+
+  /**
+   * @param {!ChunkLayout} layout
+   * @param {!ChunkLayout} otherLayout
+   * @return {!Array<{parent: string, child: string}>} dependency edges of layout missing from otherLayout
+   */
+  const missingEdges = (layout, otherLayout) => {
+    const otherEdges = new Set(otherLayout.dependencyEdges.map((edge) => JSON.stringify(edge)));
+    return layout.dependencyEdges.filter((edge) => !otherEdges.has(JSON.stringify(edge)))
+        .map(([parent, child]) => ({parent: layout.chunkNames.get(parent), child: layout.chunkNames.get(child)}));
+  };
+  /**
+   * @param {!ChunkLayout} layout
+   * @param {!ChunkLayout} otherLayout
+   * @return {!Array<string>} names of the chunks of layout missing from otherLayout
+   */
+  const missingChunks = (layout, otherLayout) => Array.from(layout.chunkNames)
+      .filter(([chunk]) => !otherLayout.chunkNames.has(chunk))
+      .map(([, name]) => name);
+
+  return {
+    chunks: {
+      added: missingChunks(afterLayout, beforeLayout),
+      removed: missingChunks(beforeLayout, afterLayout)
+    },
+    files,
+    dependencyEdges: {
+      added: missingEdges(afterLayout, beforeLayout),
+      removed: missingEdges(beforeLayout, afterLayout)
+    }
+  };
+}
+
+/**
+ * @param {!GraphDiff} graphDiff
+ * @param {!GRAPH_DIFF_FORMAT=} format
+ * @return {string}
+ */
+export function formatGraphDiff(graphDiff, format = GRAPH_DIFF_FORMAT.TEXT) {
+  if (format === GRAPH_DIFF_FORMAT.JSON) {
+    return JSON.stringify(graphDiff, null, 2) + '\n';
+  }
+  const lines = [];
+  /**
+   * @param {string} heading
+   * @param {!Array<string>} entries
+   */
+  const addSection = (heading, entries) => {
+    if (entries.length > 0) {
+      lines.push(heading, ...entries.map((entry) => `  ${entry}`));
+    }
+  };
+  addSection('Chunks added:', graphDiff.chunks.added);
+  addSection('Chunks removed:', graphDiff.chunks.removed);
+  addSection('Files moved:', graphDiff.files.moved.map(({file, from, to}) => `${file}: ${from} -> ${to}`));
+  addSection('Files added:', graphDiff.files.added.map(({file, chunk}) => `${file}: ${chunk}`));
+  addSection('Files removed:', graphDiff.files.removed.map(({file, chunk}) => `${file}: ${chunk}`));
+  addSection('Dependency edges added:',
+      graphDiff.dependencyEdges.added.map(({parent, child}) => `${parent} -> ${child}`));
+  addSection('Dependency edges removed:',
+      graphDiff.dependencyEdges.removed.map(({parent, child}) => `${parent} -> ${child}`));
+  if (lines.length === 0) {
+    lines.push('No changes to the chunk graph');
+  }
+  return lines.join('\n') + '\n';
+}
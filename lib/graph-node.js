@@ -9,13 +9,31 @@ export default class GraphNode {
    * @param {!Set<string>=} deps
    * @param {!Set<string>=} childChunks
    * @param {!Set<string>=} packageJsonFiles
+   * @param {!Map<string, !Set<string>>=} childChunkSpecifiers module specifiers used to import each child chunk
+   * @param {!Map<string, string>=} childChunkNames names requested for child chunks with magic comments
+   * @param {!Map<string, !Set<string>>=} childChunksLoadedTogether child chunks which every import of a child
+   *     chunk loads along with it, such as those imported together with Promise.all
    */
-  constructor(name, deps = new Set(), childChunks = new Set(), packageJsonFiles = new Set()) {
+  constructor(
+      name,
+      deps = new Set(),
+      childChunks = new Set(),
+      packageJsonFiles = new Set(),
+      childChunkSpecifiers = new Map(),
+      childChunkNames = new Map(),
+      childChunksLoadedTogether = new Map()) {
     this.#name = name;
     this.deps = deps;
     this.childChunks = childChunks;
     this.packageJsonFiles = packageJsonFiles;
+    this.childChunkSpecifiers = childChunkSpecifiers;
+    this.childChunkNames = childChunkNames;
+    this.childChunksLoadedTogether = childChunksLoadedTogether;
     this.sources = new Set();
+    /** @type {boolean} whether the node is a shared chunk extracted from the chunks which load after it */
+    this.shared = false;
+    /** @type {boolean} whether the node is an empty chunk created for an entrypoint without files */
+    this.synthetic = false;
   }
 
   /** @return {string} */
@@ -23,14 +41,60 @@ export default class GraphNode {
     return this.#name;
   }
 
-  /** @return {string} */
-  toString() {
-    return JSON.stringify({
+  /**
+   * @return {{
+   *   name: string,
+   *   deps: !Array<string>,
+   *   childChunks: !Array<string>,
+   *   packageJsonFiles: !Array<string>,
+   *   childChunkSpecifiers: !Array<!Array<string|!Array<string>>>,
+   *   childChunkNames: !Array<!Array<string>>,
+   *   childChunksLoadedTogether: !Array<!Array<string|!Array<string>>>,
+   *   sources: !Array<string>,
+   *   shared: boolean,
+   *   synthetic: boolean
+   * }}
+   */
+  toJSON() {
+    return {
       name: this.name,
       deps: Array.from(this.deps),
       childChunks: Array.from(this.childChunks),
       packageJsonFiles: Array.from(this.packageJsonFiles),
-      sources: Array.from(this.sources)
-    });
+      childChunkSpecifiers: Array.from(this.childChunkSpecifiers)
+          .map(([childChunk, specifiers]) => [childChunk, Array.from(specifiers)]),
+      childChunkNames: Array.from(this.childChunkNames),
+      childChunksLoadedTogether: Array.from(this.childChunksLoadedTogether)
+          .map(([childChunk, chunks]) => [childChunk, Array.from(chunks)]),
+      sources: Array.from(this.sources),
+      shared: this.shared,
+      synthetic: this.synthetic
+    };
+  }
+
+  /** @return {string} */
+  toString() {
+    return JSON.stringify(this);
+  }
+
+  /**
+   * Recreate a node from the result of toJSON.
+   *
+   * @param {!Object} json
+   * @return {!GraphNode}
+   */
+  static fromJSON(json) {
+    const node = new GraphNode(
+        json.name,
+        new Set(json.deps),
+        new Set(json.childChunks),
+        new Set(json.packageJsonFiles),
+        new Map(json.childChunkSpecifiers.map(([childChunk, specifiers]) => [childChunk, new Set(specifiers)])),
+        new Map(json.childChunkNames),
+        new Map((json.childChunksLoadedTogether || []).map(([childChunk, chunks]) => [childChunk, new Set(chunks)])));
+    json.sources.forEach((source) => node.sources.add(source));
+    node.shared = Boolean(json.shared);
+    node.synthetic = Boolean(json.synthetic);
+    return node;
   }
 }
@@ -0,0 +1,562 @@
+/** Edge of a graphlib graph */
+export interface Edge {
+  v: string;
+  w: string;
+}
+
+/** The subset of the graphlib Graph API used by chunk graphs */
+export interface Graph {
+  nodes(): string[];
+  node(name: string): GraphNode;
+  edges(): Edge[];
+  inEdges(name: string, from?: string): Edge[] | undefined;
+  outEdges(name: string, to?: string): Edge[] | undefined;
+  setNode(name: string, node: GraphNode): Graph;
+  setEdge(from: string, to: string): Graph;
+}
+
+export class GraphNode {
+  constructor(
+    name: string,
+    deps?: Set<string>,
+    childChunks?: Set<string>,
+    packageJsonFiles?: Set<string>,
+    childChunkSpecifiers?: Map<string, Set<string>>,
+    childChunkNames?: Map<string, string>,
+    childChunksLoadedTogether?: Map<string, Set<string>>
+  );
+  readonly name: string;
+  deps: Set<string>;
+  childChunks: Set<string>;
+  packageJsonFiles: Set<string>;
+  childChunkSpecifiers: Map<string, Set<string>>;
+  /** Names requested for child chunks with magic comments */
+  childChunkNames: Map<string, string>;
+  /** Child chunks which every import of a child chunk loads along with it */
+  childChunksLoadedTogether: Map<string, Set<string>>;
+  sources: Set<string>;
+  /** Whether the node is a shared chunk extracted from the chunks which load after it */
+  shared: boolean;
+  /** Whether the node is an empty chunk created for an entrypoint without files */
+  synthetic: boolean;
+  toJSON(): GraphNodeJSON;
+  toString(): string;
+  static fromJSON(json: GraphNodeJSON): GraphNode;
+}
+
+export interface GraphNodeJSON {
+  name: string;
+  deps: string[];
+  childChunks: string[];
+  packageJsonFiles: string[];
+  childChunkSpecifiers: Array<[string, string[]]>;
+  childChunkNames: Array<[string, string]>;
+  childChunksLoadedTogether?: Array<[string, string[]]>;
+  sources: string[];
+  shared?: boolean;
+  synthetic?: boolean;
+}
+
+export interface Entrypoint {
+  name: string;
+  /** A primary entrypoint without files is an empty chunk which joins the other entrypoints as independent roots */
+  files: string[];
+}
+
+export interface ManualEntrypoint {
+  parent: string;
+  child: Entrypoint & {
+    /** Takes precedence over the naming style */
+    chunkName?: string;
+  };
+}
+
+/** A manual entrypoint given as an object rather than a "<path/to/Parent>:<path/to/Child>" string */
+export interface ManualEntrypointDefinition {
+  parent: string;
+  files: string | string[];
+  chunkName?: string;
+}
+
+/**
+ * Receives a module specifier and the path of the importing file. Returns the path of the resolved file, or a falsy
+ * value to use the default resolution.
+ */
+export type ModuleResolver =
+    (specifier: string, importingFile: string) => string | null | undefined | Promise<string | null | undefined>;
+
+export interface FsAdapter {
+  readFile(filepath: string, encoding: string): Promise<string>;
+  /** Lists directory entries to expand the specifiers of non-literal dynamic imports */
+  readdir(directory: string, options: {withFileTypes: true}): Promise<Array<{
+    name: string;
+    isFile(): boolean;
+    isDirectory(): boolean;
+  }>>;
+}
+
+/**
+ * Returns an ESTree compatible AST for the contents of a source file. Magic comments are only read when the AST
+ * has a "comments" array of comments with start and end offsets.
+ */
+export type SourceParser = (contents: string, filepath: string) => object | Promise<object>;
+
+export const DEFAULT_PARSERS: Map<string, SourceParser>;
+
+export const NAMING_STYLE: {
+  readonly ENTRYPOINT: 'entrypoint';
+  readonly NUMBERED: 'numbered';
+  readonly CONTENT_HASH: 'content-hash';
+};
+export type NamingStyle = typeof NAMING_STYLE[keyof typeof NAMING_STYLE];
+
+export function outputChunkNaming(
+  entrypoint: string,
+  namePrefix?: string,
+  namingStyle?: NamingStyle,
+  chunkNames?: Map<string, string>,
+  contentHashes?: Map<string, string>,
+  diagnostics?: Diagnostic[]
+): (chunkName: string) => string;
+
+export interface ClosureCompilerFlags {
+  chunk: string[];
+  chunk_wrapper?: string[];
+  chunk_output_path_prefix?: string;
+  js: string[];
+}
+
+/**
+ * Sources shared by the same set of chunks are extracted into a shared chunk, instead of being moved to the lowest
+ * common ancestor, when they exceed either threshold. Sizes are in bytes.
+ */
+export interface SharedChunkThresholds {
+  minSources?: number;
+  minSize?: number;
+  sourceSizes?: Map<string, number>;
+}
+
+/**
+ * A goog.addDependency entry of a deps.js file. Files listed in a deps file are not parsed unless they are
+ * ES modules.
+ */
+export interface GoogDependency {
+  filepath: string;
+  provides: string[];
+  requires: string[];
+  /** "goog" for goog.module files and "es6" for ES modules */
+  moduleType: string | null;
+  lang: string | null;
+}
+
+/**
+ * Chunks with at most maxSources sources or maxSize bytes are merged into the chunk which loads before them.
+ * Sibling chunks which always load together are merged with each other when siblings is set.
+ */
+export interface ChunkMergeOptions {
+  maxSources?: number;
+  maxSize?: number;
+  siblings?: boolean;
+}
+
+/** Finds the dependencies of source files. Created with ChunkGraph.createDepsFinder. */
+export interface DepsFinder {
+  readonly fileDependencies: Map<string, GraphNode>;
+  /** Directories read to expand the non-literal dynamic imports of each file */
+  readonly expandedDirectories: Map<string, Set<string>>;
+  /** Directories in which the unresolved relative imports of each file would be found */
+  readonly unresolvedDirectories: Map<string, Set<string>>;
+  readonly diagnostics: Diagnostic[];
+  invalidate(filepath: string): void;
+}
+
+export interface ChunkGraphJSON {
+  entrypoint: string;
+  nodes: GraphNodeJSON[];
+  /** Load order graph edges as [parent, child] pairs */
+  edges: Array<[string, string]>;
+  sourceReferences: Array<[string, string[]]>;
+  importSpecifiers: Array<[string, string[]]>;
+  chunkNames: Array<[string, string]>;
+  contentHashes?: Array<[string, string]>;
+  chunksLoadedTogether?: Array<[string, string[]]>;
+  mergedChunks?: Array<[string, string]>;
+}
+
+export class ChunkGraph {
+  static fsAdapter: FsAdapter;
+  static parsers: Map<string, SourceParser>;
+
+  constructor(
+    entrypoint: string,
+    graph?: Graph,
+    sourceReferences?: Map<string, Set<string>>,
+    importSpecifiers?: Map<string, Set<string>>,
+    chunkNames?: Map<string, string>,
+    chunksLoadedTogether?: Map<string, Set<string>>
+  );
+  readonly entrypoint: string;
+  readonly graph: Graph;
+  readonly sourceReferences: Map<string, Set<string>>;
+  readonly importSpecifiers: Map<string, Set<string>>;
+  /** Output names requested for chunks, keyed by chunk entrypoint */
+  readonly chunkNames: Map<string, string>;
+  /** Hashes used by the content-hash naming style. Empty until calculateContentHashes is called. */
+  readonly contentHashes: Map<string, string>;
+
+  calculateContentHashes(baseDirectory?: string, includeContents?: boolean): Promise<Map<string, string>>;
+  /** Chunks which every import of a chunk loads along with it */
+  readonly chunksLoadedTogether: Map<string, Set<string>>;
+  /** Entrypoints of merged chunks, with the chunk now containing each of them */
+  readonly mergedChunks: Map<string, string>;
+  /** Merges skipped by mergeChunks because they would make the dependency graph circular */
+  readonly mergeDiagnostics: Diagnostic[];
+  readonly namingDiagnostics: Diagnostic[];
+  mergeChunks(mergeOptions: ChunkMergeOptions): Promise<Map<string, string>>;
+
+  toJSON(): ChunkGraphJSON;
+  toDependencyGraph(): Graph;
+  getChunkLoadOrder(dependencyGraph?: Graph): string[];
+  getClosureCompilerFlags(
+    namePrefix?: string,
+    namingStyle?: NamingStyle,
+    chunkWrapperTemplate?: string,
+    chunkOutputPathPrefix?: string
+  ): ClosureCompilerFlags;
+
+  static fromJSON(json: ChunkGraphJSON): ChunkGraph;
+  static createDepsFinder(
+    packageJsonEntryNames?: string[],
+    baseDirectory?: string,
+    googBasePath?: string | null,
+    googDepsMap?: Map<string, string>,
+    packageJsonConditions?: string[],
+    cacheDirectory?: string | null,
+    googDependencies?: Map<string, GoogDependency>,
+    resolver?: ModuleResolver | null,
+    packageJsonEntryNameOverrides?: Map<string, string[]>
+  ): DepsFinder;
+  static buildFromEntrypoints(
+    entrypoints: Entrypoint[],
+    manualEntrypoints?: ManualEntrypoint[],
+    packageJsonEntryNames?: string[],
+    baseDirectory?: string,
+    googBasePath?: string | null,
+    googDepsMap?: Map<string, string>,
+    packageJsonConditions?: string[],
+    cacheDirectory?: string | null,
+    sharedChunkThresholds?: SharedChunkThresholds | null,
+    googDependencies?: Map<string, GoogDependency>,
+    resolver?: ModuleResolver | null,
+    packageJsonEntryNameOverrides?: Map<string, string[]>
+  ): Promise<ChunkGraph>;
+  static buildWithDepsFinder(
+    depFinder: DepsFinder,
+    entrypoints: Entrypoint[],
+    manualEntrypoints?: ManualEntrypoint[],
+    sharedChunkThresholds?: SharedChunkThresholds | null
+  ): Promise<ChunkGraph>;
+}
+export default ChunkGraph;
+
+/**
+ * Options accepted by calculateChunks. Each option corresponds to the command line flag of the same name, except for
+ * manual entrypoint definitions, resolver and packageJsonEntryNameOverrides which may only be given in code or in a
+ * config file.
+ */
+export interface CalculateChunksOptions {
+  entrypoint: string | string[];
+  /** Treat every entrypoint as an independent root which loads after an empty base chunk */
+  multipleRoots?: boolean;
+  manualEntrypoint?: string | ManualEntrypointDefinition | Array<string | ManualEntrypointDefinition>;
+  root?: string;
+  closureLibraryBaseJsPath?: string;
+  depsFile?: string | string[];
+  extraDeps?: string | string[];
+  /** Directories crawled for Closure Library namespace declarations */
+  googSourceRoot?: string | string[];
+  /** Path of a deps.js file to write for the namespaces found in the goog source roots */
+  writeDepsFile?: string;
+  packageJsonEntryNames?: string | string[];
+  /** Entry names used instead of packageJsonEntryNames, keyed by package name */
+  packageJsonEntryNameOverrides?: {[packageName: string]: string | string[]};
+  packageJsonConditions?: string | string[];
+  /** Consulted before the default module resolution */
+  resolver?: ModuleResolver | null;
+  cacheDir?: string;
+  namingStyle?: NamingStyle;
+  hashContents?: boolean;
+  namePrefix?: string;
+  chunkWrapper?: string;
+  chunkOutputPathPrefix?: string;
+  /** Size budgets, or the path to a JSON file containing them */
+  sizeBudget?: string | SizeBudgets;
+  sharedChunkMinSources?: number;
+  sharedChunkMinSize?: number;
+  mergeMaxSources?: number;
+  mergeMaxSize?: number;
+  mergeSiblings?: boolean;
+}
+
+export interface NormalizedOptions {
+  entrypoints: Entrypoint[];
+  manualEntrypoints: ManualEntrypoint[];
+  packageJsonEntryNames: string[];
+  packageJsonEntryNameOverrides: Map<string, string[]>;
+  baseDirectory: string;
+  googBasePath: string | null;
+  googDepsMap: Map<string, string>;
+  /** Deps file entries keyed by filepath */
+  googDependencies: Map<string, GoogDependency>;
+  /** Malformed deps file entries */
+  googDepsDiagnostics: Diagnostic[];
+  googSourceRoots: string[];
+  writeDepsFile: string | null;
+  packageJsonConditions: string[];
+  resolver: ModuleResolver | null;
+  cacheDirectory: string | null;
+  namePrefix: string;
+  namingStyle: NamingStyle;
+  hashContents: boolean;
+  chunkWrapper?: string;
+  chunkOutputPathPrefix?: string;
+  sizeBudgets: SizeBudgets | null;
+  sharedChunkThresholds: SharedChunkThresholds | null;
+  chunkMergeOptions: ChunkMergeOptions | null;
+}
+
+export const SEVERITY: {
+  readonly ERROR: 'error';
+  readonly WARNING: 'warning';
+  readonly INFO: 'info';
+};
+export type Severity = typeof SEVERITY[keyof typeof SEVERITY];
+
+export const DIAGNOSTIC_CODE: {
+  readonly PARSE_ERROR: 'ParseError';
+  readonly UNREADABLE_FILE: 'UnreadableFile';
+  readonly UNRESOLVED_MODULE: 'UnresolvedModule';
+  readonly MISSING_GOOG_DEPS_MAP: 'MissingGoogDepsMap';
+  readonly UNKNOWN_GOOG_NAMESPACE: 'UnknownGoogNamespace';
+  readonly CHUNK_ENTRYPOINT_NOT_IN_SOURCES: 'ChunkEntrypointNotInSources';
+  readonly CIRCULAR_CHUNK_REFERENCE: 'CircularChunkReference';
+  readonly UNSORTABLE_CHUNKS: 'UnsortableChunks';
+  readonly CHUNK_SIZE_BUDGET_EXCEEDED: 'ChunkSizeBudgetExceeded';
+  readonly DYNAMIC_IMPORT_NOT_EXPANDABLE: 'DynamicImportNotExpandable';
+  readonly DYNAMIC_IMPORT_NO_MATCHES: 'DynamicImportNoMatches';
+  readonly CONFLICTING_CHUNK_NAMES: 'ConflictingChunkNames';
+  readonly DYNAMIC_REQUIRE: 'DynamicRequire';
+  readonly DUPLICATE_GOOG_NAMESPACE: 'DuplicateGoogNamespace';
+  readonly MALFORMED_GOOG_DEPENDENCY: 'MalformedGoogDependency';
+  readonly CHUNK_MERGE_SKIPPED: 'ChunkMergeSkipped';
+};
+export type DiagnosticCode = typeof DIAGNOSTIC_CODE[keyof typeof DIAGNOSTIC_CODE];
+
+export const DIAGNOSTICS_FORMAT: {
+  readonly TEXT: 'text';
+  readonly JSON: 'json';
+};
+export type DiagnosticsFormat = typeof DIAGNOSTICS_FORMAT[keyof typeof DIAGNOSTICS_FORMAT];
+
+export interface DiagnosticDetails {
+  code: DiagnosticCode;
+  severity?: Severity;
+  message: string;
+  file?: string;
+  /** 1-based line */
+  line?: number;
+  /** 0-based column */
+  column?: number;
+  /** Files through which the file was reached, starting from an entrypoint */
+  importChain?: string[];
+}
+
+export class Diagnostic {
+  constructor(details: DiagnosticDetails);
+  code: DiagnosticCode;
+  severity: Severity;
+  message: string;
+  file?: string;
+  line?: number;
+  column?: number;
+  importChain: string[];
+  toString(): string;
+  toJSON(): Required<DiagnosticDetails>;
+}
+
+export class DiagnosticError extends Error {
+  constructor(message: string, diagnostics: Diagnostic[]);
+  diagnostics: Diagnostic[];
+}
+
+export function formatDiagnostics(diagnostics: Diagnostic[], format?: DiagnosticsFormat): string;
+
+export interface CalculateChunksResult {
+  /** null when the chunk definitions are invalid. See diagnostics. */
+  flags: ClosureCompilerFlags | null;
+  chunkGraph: ChunkGraph;
+  diagnostics: Diagnostic[];
+  /** Sizes keyed by chunk entrypoint. Only calculated when size budgets are given. */
+  chunkSizes: Map<string, ChunkSize> | null;
+}
+
+export function normalizeOptions(options: CalculateChunksOptions): NormalizedOptions;
+export function calculateChunks(options: CalculateChunksOptions): Promise<CalculateChunksResult>;
+/**
+ * Add the namespaces declared in the goog source roots to the dependency map of normalized options.
+ * Resolves with diagnostics for duplicate namespaces and sources which could not be parsed.
+ */
+export function addGoogSourceNamespaces(
+    normalizedOptions: Pick<NormalizedOptions, 'googBasePath' | 'googDepsMap' | 'googSourceRoots' | 'writeDepsFile'>
+): Promise<Diagnostic[]>;
+
+/** Config files looked for in a directory, in order of preference */
+export const CONFIG_FILE_NAMES: string[];
+/** Path of the first config file found in the directory */
+export function findConfigFile(directory: string): string | null;
+/** Load the options of a JSON config file, or of a module exporting the options or a function returning them */
+export function loadConfigFile(configPath: string): Promise<CalculateChunksOptions>;
+
+export interface FlagsDiff {
+  chunk: {added: string[]; removed: string[]};
+  js: {added: string[]; removed: string[]};
+}
+
+export function diffClosureCompilerFlags(
+  previousFlags: ClosureCompilerFlags | null,
+  flags: ClosureCompilerFlags
+): FlagsDiff;
+
+export class ChunkGraphWatcher {
+  static debounceDelay: number;
+  constructor(
+    depsFinder: DepsFinder,
+    entrypoints: Entrypoint[],
+    manualEntrypoints: ManualEntrypoint[],
+    onBuild: (chunkGraph: ChunkGraph, changedFiles: string[]) => void | Promise<void>,
+    onError: (error: Error) => void,
+    sharedChunkThresholds?: SharedChunkThresholds | null
+  );
+  start(): Promise<void>;
+  close(): void;
+}
+
+export interface ChunkManifest {
+  entrypoint: string;
+  chunks: {
+    [entrypointPath: string]: {
+      name: string;
+      specifiers: string[];
+      parents: string[];
+      sources: string[];
+    };
+  };
+  /** Entrypoints of merged chunks, with the entrypoint of the chunk containing each of them */
+  mergedChunks: {[entrypointPath: string]: string};
+}
+
+export function buildChunkManifest(
+  chunkGraph: ChunkGraph,
+  namePrefix?: string,
+  namingStyle?: NamingStyle
+): ChunkManifest;
+
+export const SIZE_MEASURE: {
+  readonly RAW: 'raw';
+  readonly GZIP: 'gzip';
+  readonly BROTLI: 'brotli';
+};
+export type SizeMeasure = typeof SIZE_MEASURE[keyof typeof SIZE_MEASURE];
+
+/** Sizes in bytes. Compressed sizes are estimates computed from the concatenated uncompiled sources. */
+export interface ChunkSize {
+  raw: number;
+  gzip: number;
+  brotli: number;
+  /** Sources of the chunk, largest first */
+  files: Array<{file: string; raw: number}>;
+}
+
+/** Maximum sizes in bytes keyed by chunk name or glob. A number limits the raw size. */
+export interface SizeBudgets {
+  [chunkNameOrGlob: string]: number | {[measure in SizeMeasure]?: number};
+}
+
+export function calculateChunkSizes(chunkGraph: ChunkGraph): Promise<Map<string, ChunkSize>>;
+export function checkSizeBudgets(
+  chunkGraph: ChunkGraph,
+  chunkSizes: Map<string, ChunkSize>,
+  budgets: SizeBudgets,
+  namePrefix?: string,
+  namingStyle?: NamingStyle
+): Diagnostic[];
+
+export interface SourceExplanation {
+  file: string;
+  /** Output name of the chunk containing the file */
+  chunk: string | null;
+  /** Whether the file was extracted into a shared chunk */
+  sharedChunk: boolean;
+  /** Output name of the chunk the file was hoisted into because several chunks import it */
+  hoistedInto: string | null;
+  importedBy: Array<{file: string; chunk: string | null}>;
+  directlyImportedIn: string[];
+  transitivelyImportedIn: string[];
+  /** For each chunk which needs the file, the chunks on every path from it to the entrypoint */
+  dominatorChains: string[][];
+  commonAncestors: string[];
+  lowestCommonAncestor: string | null;
+  /** Circular references which prevented the chunks from being named in load order */
+  diagnostics: Diagnostic[];
+}
+
+export function explainSource(
+  chunkGraph: ChunkGraph,
+  filepath: string,
+  namePrefix?: string,
+  namingStyle?: NamingStyle
+): SourceExplanation;
+export function formatExplanation(explanation: SourceExplanation): string;
+
+export interface GraphDiff {
+  chunks: {added: string[]; removed: string[]};
+  files: {
+    added: Array<{file: string; chunk: string}>;
+    removed: Array<{file: string; chunk: string}>;
+    moved: Array<{file: string; from: string; to: string}>;
+  };
+  dependencyEdges: {
+    added: Array<{parent: string; child: string}>;
+    removed: Array<{parent: string; child: string}>;
+  };
+}
+
+export const GRAPH_DIFF_FORMAT: {
+  readonly TEXT: 'text';
+  readonly JSON: 'json';
+};
+export type GraphDiffFormat = typeof GRAPH_DIFF_FORMAT[keyof typeof GRAPH_DIFF_FORMAT];
+
+/**
+ * Compare two chunk graphs serialized with ChunkGraph#toJSON. Paths are compared relative to the directory of the
+ * graph entrypoint.
+ */
+export function diffGraphSnapshots(
+  before: ChunkGraphJSON,
+  after: ChunkGraphJSON,
+  namePrefix?: string,
+  namingStyle?: NamingStyle
+): GraphDiff;
+export function formatGraphDiff(graphDiff: GraphDiff, format?: GraphDiffFormat): string;
+
+export const OUTPUT_FORMAT: {
+  readonly JSON: 'json';
+  readonly FLAGFILE: 'flagfile';
+  readonly ARGS: 'args';
+};
+export type OutputFormat = typeof OUTPUT_FORMAT[keyof typeof OUTPUT_FORMAT];
+
+export function formatClosureCompilerFlags(
+  closureCompilerFlags: ClosureCompilerFlags,
+  outputFormat?: OutputFormat
+): string;
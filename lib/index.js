@@ -0,0 +1,23 @@
+import ChunkGraph from './chunk-graph.js';
+
+export default ChunkGraph;
+export {ChunkGraph};
+export {default as GraphNode} from './graph-node.js';
+export {default as calculateChunks, addGoogSourceNamespaces, normalizeOptions} from './calculate-chunks.js';
+export {default as ChunkGraphWatcher, diffClosureCompilerFlags} from './chunk-graph-watcher.js';
+export {default as loadConfigFile, CONFIG_FILE_NAMES, findConfigFile} from './config-file.js';
+export {default as buildChunkManifest} from './chunk-manifest.js';
+export {default as calculateChunkSizes, SIZE_MEASURE, checkSizeBudgets} from './chunk-sizes.js';
+export {default as explainSource, formatExplanation} from './explain-source.js';
+export {GRAPH_DIFF_FORMAT, diffGraphSnapshots, formatGraphDiff} from './graph-diff.js';
+export {NAMING_STYLE, outputChunkNaming} from './chunk-naming.js';
+export {OUTPUT_FORMAT, formatClosureCompilerFlags} from './output-format.js';
+export {DEFAULT_PARSERS} from './parsers.js';
+export {
+  DIAGNOSTIC_CODE,
+  DIAGNOSTICS_FORMAT,
+  Diagnostic,
+  DiagnosticError,
+  SEVERITY,
+  formatDiagnostics
+} from './diagnostics.js';
@@ -1,4 +1,5 @@
 import commonAncestors from './common-ancestors.js';
+import DominatorTree from './dominator-tree.js';
 
 /**
  * For a given list of nodes, find the lowest node in the graph that exists on every
@@ -8,10 +9,12 @@ import commonAncestors from './common-ancestors.js';
  * @param {!Array<string>} sourceNodes
  * @param {!Object<string, {distance: number, predecessor: string}>} nodeDistanceFromEntrypoint
  * @param {!Graph} graph
+ * @param {!DominatorTree=} dominatorTree reuse when finding common ancestors repeatedly in the same graph
  * @return {string}
  */
-export default function lowestCommonAncestor(entrypoint, sourceNodes, graph, nodeDistanceFromEntrypoint) {
-  const {commonNodes} = commonAncestors(entrypoint, sourceNodes, graph);
+export default function lowestCommonAncestor(
+    entrypoint, sourceNodes, graph, nodeDistanceFromEntrypoint, dominatorTree = new DominatorTree(entrypoint, graph)) {
+  const {commonNodes} = commonAncestors(entrypoint, sourceNodes, graph, dominatorTree);
 
   // Sort the valid nodes by their distance from the entrypoint and return the highest distance as
   // that's the lowest valid node in the graph.
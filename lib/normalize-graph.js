@@ -1,6 +1,19 @@
 import graphlib from 'graphlib';
+import DominatorTree from './dominator-tree.js';
+import GraphNode from './graph-node.js';
 import lowestCommonAncestor from './lowest-common-ancestor.js';
 
+/**
+ * Thresholds above which sources shared by the same set of chunks are extracted into a shared chunk instead of
+ * being moved to the lowest common ancestor. Sizes are in bytes and are looked up in sourceSizes.
+ *
+ * @typedef {{
+ *   minSources: (number|undefined),
+ *   minSize: (number|undefined),
+ *   sourceSizes: (!Map<string, number>|undefined)
+ * }} SharedChunkThresholds
+ */
+
 /**
  * Build a map of sources to a set of all referencing nodes
  *
@@ -40,15 +53,43 @@ function addNodeToCombinationMap(source, nodes, nodeCombinations) {
   sourceSetInfo.sourceSet.add(source);
 }
 
+/**
+ * @param {!Set<string>} sourceSet
+ * @param {?SharedChunkThresholds} sharedChunkThresholds
+ * @return {boolean}
+ */
+function exceedsSharedChunkThresholds(sourceSet, sharedChunkThresholds) {
+  if (!sharedChunkThresholds) {
+    return false;
+  }
+  const {minSources, minSize, sourceSizes = new Map()} = sharedChunkThresholds;
+  if (minSources !== undefined && sourceSet.size >= minSources) {
+    return true;
+  }
+  if (minSize !== undefined) {
+    let size = 0;
+    sourceSet.forEach((source) => {
+      size += sourceSizes.get(source) || 0;
+    });
+    return size >= minSize;
+  }
+  return false;
+}
+
 /**
  * Ensure that every source file is only referenced by a single node.
  * Move any source file referenced by multiple nodes to the lowest common ancestor.
  *
+ * When shared chunk thresholds are given, a set of sources referenced by the same nodes which exceeds either
+ * threshold is instead extracted into a new shared chunk. The shared chunk loads after the lowest common ancestor
+ * and before each referencing node. It is named after the first of its sources which is not a chunk entrypoint.
+ *
  * @param {string} entrypoint
  * @param {!graphlib.Graph} graph
+ * @param {?SharedChunkThresholds=} sharedChunkThresholds
  * @return {!Map<string, !Array<string>>} sourcesToHoist
  */
-export default function normalizeGraph(entrypoint, graph) {
+export default function normalizeGraph(entrypoint, graph, sharedChunkThresholds = null) {
   const allPackageJsonFiles = new Set();
   graph.nodes().forEach((nodeName) => {
     const node = graph.node(nodeName);
@@ -60,6 +101,8 @@ export default function normalizeGraph(entrypoint, graph) {
 
   /** @type {!Object<string, {distance: number, predecessor: (string|undefined)}>} */
   let nodeDistanceFromEntrypoint = graphlib.alg.dijkstra(graph, entrypoint, () => 1);
+  // Only sources move between nodes, so the shape of the graph and its dominators stay the same
+  const dominatorTree = new DominatorTree(entrypoint, graph);
   const nodesBySource = getNodesReferencingSource(graph);
 
   // Build a map of sources which are referenced in more than one graph node
@@ -73,8 +116,18 @@ export default function normalizeGraph(entrypoint, graph) {
   // Ensure that sources are only referenced in a single node.
   // Sources referenced in more than one node are moved up the graph to the lowest common ancestor.
   const sourcesToHoist = new Map();
+  const sharedChunks = [];
   sourceNodeCombinations.forEach((sourceInfo) => {
-    const lca = lowestCommonAncestor(entrypoint, Array.from(sourceInfo.nodes), graph, nodeDistanceFromEntrypoint);
+    const lca = lowestCommonAncestor(
+        entrypoint, Array.from(sourceInfo.nodes), graph, nodeDistanceFromEntrypoint, dominatorTree);
+    // When the ancestor is one of the referencing nodes, it is already loaded by all of the others
+    if (!sourceInfo.nodes.has(lca) && exceedsSharedChunkThresholds(sourceInfo.sourceSet, sharedChunkThresholds)) {
+      const sharedChunk = createSharedChunk(lca, sourceInfo, graph);
+      if (sharedChunk) {
+        sharedChunks.push({lca, sharedChunk, nodes: sourceInfo.nodes});
+        return;
+      }
+    }
     sourceInfo.sourceSet.forEach(source => {
       let existingSourcesToHoistForLCA = sourcesToHoist.get(lca);
       if (!existingSourcesToHoistForLCA) {
@@ -94,5 +147,42 @@ export default function normalizeGraph(entrypoint, graph) {
     });
   });
 
+  // Add shared chunks once every ancestor has been found so that they do not change the shape of the graph
+  sharedChunks.forEach(({lca, sharedChunk, nodes}) => {
+    graph.setNode(sharedChunk.name, sharedChunk);
+    graph.setEdge(lca, sharedChunk.name);
+    nodes.forEach((referencingNodeName) => {
+      const referencingNode = graph.node(referencingNodeName);
+      sharedChunk.sources.forEach((source) => referencingNode.sources.delete(source));
+      graph.setEdge(sharedChunk.name, referencingNodeName);
+    });
+  });
+
   return sourcesToHoist;
 };
+
+/**
+ * Build a chunk for sources referenced by the same set of nodes. Its sources keep the dependency order of the
+ * referencing nodes. Its dependencies are those shared by every referencing node along with the entrypoint of
+ * the lowest common ancestor, so that the shared chunk depends on both the chunks containing them and the
+ * ancestor.
+ *
+ * @param {string} lca
+ * @param {{sourceSet: !Set<string>, nodes: !Set<string>}} sourceInfo
+ * @param {!graphlib.Graph} graph
+ * @return {?GraphNode} null when every source is a chunk entrypoint and so cannot name the chunk
+ */
+function createSharedChunk(lca, sourceInfo, graph) {
+  const referencingNodes = Array.from(sourceInfo.nodes).map((nodeName) => graph.node(nodeName));
+  const orderedDeps = Array.from(referencingNodes[0].deps);
+  const sources = orderedDeps.filter((dep) => sourceInfo.sourceSet.has(dep));
+  const sharedChunkName = sources.find((source) => !graph.hasNode(source));
+  if (!sharedChunkName) {
+    return null;
+  }
+  const sharedDeps = orderedDeps.filter((dep) => referencingNodes.every((node) => node.deps.has(dep)));
+  const sharedChunk = new GraphNode(sharedChunkName, new Set([lca, ...sharedDeps]));
+  sharedChunk.sources = new Set(sources);
+  sharedChunk.shared = true;
+  return sharedChunk;
+}
@@ -0,0 +1,71 @@
+/** @enum {string} */
+export const OUTPUT_FORMAT = {
+  JSON: 'json',
+  FLAGFILE: 'flagfile',
+  ARGS: 'args'
+};
+
+/**
+ * Quote a value for a closure-compiler flagfile. Values are whitespace separated and may be wrapped in
+ * double quotes.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function quoteFlagfileValue(value) {
+  if (!/[\s"\\]/.test(value)) {
+    return value;
+  }
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Quote a value for a POSIX shell.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function quoteShellArg(value) {
+  if (/^[\w\-.,:/@%+=]+$/.test(value)) {
+    return value;
+  }
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * @param {!Object<string, (string|!Array<string>)>} closureCompilerFlags
+ * @return {!Array<!Array<string>>} pairs of flag name and value in the order they must be passed
+ */
+function flagPairs(closureCompilerFlags) {
+  const pairs = [];
+  Object.keys(closureCompilerFlags).forEach((flagName) => {
+    [].concat(closureCompilerFlags[flagName]).forEach((value) => pairs.push([`--${flagName}`, value]));
+  });
+  return pairs;
+}
+
+/**
+ * Format the result of ChunkGraph#getClosureCompilerFlags.
+ *
+ * For "json", the flags object is serialized. For "flagfile", each flag is written on its own line in a form
+ * readable by the closure-compiler --flagfile option. For "args", the flags are written as a single line of
+ * shell escaped arguments.
+ *
+ * @param {!Object<string, (string|!Array<string>)>} closureCompilerFlags
+ * @param {!OUTPUT_FORMAT=} outputFormat
+ * @return {string}
+ */
+export function formatClosureCompilerFlags(closureCompilerFlags, outputFormat = OUTPUT_FORMAT.JSON) {
+  switch (outputFormat) {
+    case OUTPUT_FORMAT.FLAGFILE:
+      return flagPairs(closureCompilerFlags)
+          .map(([flag, value]) => `${flag} ${quoteFlagfileValue(value)}\n`)
+          .join('');
+    case OUTPUT_FORMAT.ARGS:
+      return flagPairs(closureCompilerFlags)
+          .map(([flag, value]) => `${flag} ${quoteShellArg(value)}`)
+          .join(' ') + '\n';
+    default:
+      return JSON.stringify(closureCompilerFlags, null, 2) + '\n';
+  }
+}
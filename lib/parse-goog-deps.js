@@ -1,27 +1,145 @@
 import {Parser} from 'acorn';
 import {simple as simpleWalk} from 'acorn-walk';
 import path from 'path';
+import {DIAGNOSTIC_CODE, Diagnostic, SEVERITY} from './diagnostics.js';
 
 /**
- * Parse a deps.js file from a Closure-Library style project and build a map of provided names to file location
+ * A goog.addDependency entry of a deps.js file. The module type is "goog" for goog.module files and "es6" for
+ * ES modules. Both the module type and language level are null when not given in the load flags.
+ *
+ * @typedef {{
+ *   filepath: string,
+ *   provides: !Array<string>,
+ *   requires: !Array<string>,
+ *   moduleType: ?string,
+ *   lang: ?string
+ * }} GoogDependency
+ */
+
+/**
+ * @param {?Object} node
+ * @return {boolean}
+ */
+function isStringLiteral(node) {
+  return Boolean(node) && node.type === 'Literal' && typeof node.value === 'string';
+}
+
+/**
+ * @param {?Object} node
+ * @return {boolean}
+ */
+function isStringArray(node) {
+  return Boolean(node) && node.type === 'ArrayExpression' && node.elements.every(isStringLiteral);
+}
+
+/**
+ * @param {!Object} callee
+ * @return {boolean}
+ */
+function isAddDependency(callee) {
+  return callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      callee.object.name === 'goog' &&
+      (callee.computed ?
+          isStringLiteral(callee.property) && callee.property.value === 'addDependency' :
+          callee.property.name === 'addDependency');
+}
+
+/**
+ * Read the load flags of a dependency. Older deps files pass true instead of {'module': 'goog'}.
+ *
+ * @param {?Object} node
+ * @return {?{moduleType: ?string, lang: ?string}} null when malformed
+ */
+function parseLoadFlags(node) {
+  const loadFlags = {moduleType: null, lang: null};
+  if (!node) {
+    return loadFlags;
+  } else if (node.type === 'Literal' && typeof node.value === 'boolean') {
+    loadFlags.moduleType = node.value ? 'goog' : null;
+    return loadFlags;
+  } else if (node.type !== 'ObjectExpression') {
+    return null;
+  }
+  for (const property of node.properties) {
+    if (property.type !== 'Property' || property.computed) {
+      return null;
+    }
+    const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+    if (key !== 'module' && key !== 'lang') {
+      continue;
+    } else if (!isStringLiteral(property.value)) {
+      return null;
+    }
+    loadFlags[key === 'module' ? 'moduleType' : 'lang'] = property.value.value;
+  }
+  return loadFlags;
+}
+
+/**
+ * Parse the goog.addDependency calls of a Closure-Library style deps.js file. Calls with arguments of the wrong
+ * type are skipped and reported as warnings.
  *
  * @param {string} contents
  * @param {string} baseDir full path to the closure-library
+ * @param {string=} depsFilePath path of the deps file used to report malformed entries
+ * @return {{dependencies: !Array<!GoogDependency>, diagnostics: !Array<!Diagnostic>}}
  */
-export default function parseGoogDeps(contents, baseDir) {
-  const googPathsByNamespace = new Map();
-  const ast = Parser.parse(contents, {ecmaVersion: 'latest'});
+export function parseGoogDependencies(contents, baseDir, depsFilePath) {
+  const dependencies = [];
+  const diagnostics = [];
+  const ast = Parser.parse(contents, {ecmaVersion: 'latest', locations: true});
   simpleWalk(ast, {
     CallExpression(node) {
-      if (node.callee.type === 'MemberExpression' &&
-          node.callee.object.type === 'Identifier' &&
-          node.callee.object.name === 'goog' &&
-          node.callee.property.type === 'Identifier' &&
-          node.callee.property.name === 'addDependency') {
-        const filePath = path.resolve(baseDir, node.arguments[0].value);
-        node.arguments[1].elements.forEach((arg) => googPathsByNamespace.set(arg.value, filePath));
+      if (!isAddDependency(node.callee)) {
+        return;
       }
+      const [filepathNode, providesNode, requiresNode, loadFlagsNode] = node.arguments;
+      const loadFlags = parseLoadFlags(loadFlagsNode);
+      let problem = null;
+      if (!isStringLiteral(filepathNode)) {
+        problem = 'path must be a string';
+      } else if (!isStringArray(providesNode)) {
+        problem = 'provided namespaces must be an array of strings';
+      } else if (requiresNode && !isStringArray(requiresNode)) {
+        problem = 'required namespaces must be an array of strings';
+      } else if (!loadFlags) {
+        problem = 'load flags must be an object of strings';
+      }
+      if (problem) {
+        diagnostics.push(new Diagnostic({
+          code: DIAGNOSTIC_CODE.MALFORMED_GOOG_DEPENDENCY,
+          severity: SEVERITY.WARNING,
+          message: `goog.addDependency entry skipped: ${problem}`,
+          file: depsFilePath,
+          line: node.loc.start.line,
+          column: node.loc.start.column
+        }));
+        return;
+      }
+      dependencies.push({
+        filepath: path.resolve(baseDir, filepathNode.value),
+        provides: providesNode.elements.map(({value}) => value),
+        requires: requiresNode ? requiresNode.elements.map(({value}) => value) : [],
+        moduleType: loadFlags.moduleType,
+        lang: loadFlags.lang
+      });
     }
   });
+  return {dependencies, diagnostics};
+}
+
+/**
+ * Parse a deps.js file from a Closure-Library style project and build a map of provided names to file location
+ *
+ * @param {string} contents
+ * @param {string} baseDir full path to the closure-library
+ * @return {!Map<string, string>}
+ */
+export default function parseGoogDeps(contents, baseDir) {
+  const googPathsByNamespace = new Map();
+  parseGoogDependencies(contents, baseDir).dependencies.forEach(({filepath, provides}) => {
+    provides.forEach((namespace) => googPathsByNamespace.set(namespace, filepath));
+  });
   return googPathsByNamespace;
 };
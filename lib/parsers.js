@@ -0,0 +1,112 @@
+import {Parser} from 'acorn';
+import path from 'path';
+import sucrase from 'sucrase';
+
+/**
+ * A parser receives the contents and path of a source file and returns an ESTree compatible AST which acorn-walk
+ * can traverse. Magic comments in dynamic imports are only read when the AST has a "comments" array of
+ * comment nodes with start and end offsets.
+ *
+ * @typedef {function(string, string): (!Object|!Promise<!Object>)} SourceParser
+ */
+
+/**
+ * @param {string} contents
+ * @param {string} sourceType "module" or "script"
+ * @return {!Object}
+ */
+function parseAs(contents, sourceType) {
+  const comments = [];
+  const ast = Parser.parse(contents, {
+    ecmaVersion: 'latest',
+    sourceType,
+    // CommonJS modules are wrapped in a function, so may return early
+    allowReturnOutsideFunction: sourceType === 'script',
+    allowHashBang: true,
+    locations: true,
+    onComment: comments
+  });
+  ast.comments = comments;
+  return ast;
+}
+
+/**
+ * Parse a source file with the module type determined by its extension. Other files are parsed as ES modules,
+ * falling back to scripts so that CommonJS files using sloppy mode syntax such as "with" or octal literals
+ * can be read. When neither succeeds, the error found furthest into the file is thrown.
+ *
+ * @param {string} contents
+ * @param {string=} filepath
+ * @return {!Object}
+ */
+function parseSource(contents, filepath = '') {
+  const extension = path.extname(filepath);
+  if (extension === '.mjs') {
+    return parseAs(contents, 'module');
+  } else if (extension === '.cjs') {
+    return parseAs(contents, 'script');
+  }
+  try {
+    return parseAs(contents, 'module');
+  } catch (moduleError) {
+    try {
+      return parseAs(contents, 'script');
+    } catch (scriptError) {
+      throw (scriptError.pos || 0) > (moduleError.pos || 0) ? scriptError : moduleError;
+    }
+  }
+}
+
+/**
+ * Create a parser which strips type annotations and JSX before handing the source off to acorn.
+ * Imports only referenced as types are elided so they do not become runtime dependencies.
+ * Line numbers are preserved by the transform.
+ *
+ * @param {!Array<string>} transforms sucrase transforms to apply
+ * @return {!SourceParser}
+ */
+function transformingParser(transforms) {
+  return (contents, filepath) => {
+    const transformsForFile = transforms.slice();
+    // Flow sources are identified by the @flow pragma rather than by extension
+    const [leadingComments] = /^(\s*(\/\*[\s\S]*?\*\/|\/\/[^\n]*))*/.exec(contents);
+    if (!transformsForFile.includes('typescript') && /@flow\b/.test(leadingComments)) {
+      transformsForFile.push('flow');
+    }
+    if (transformsForFile.length === 0) {
+      return parseSource(contents, filepath);
+    }
+    const {code} = sucrase.transform(contents, {
+      transforms: transformsForFile,
+      filePath: filepath,
+      disableESTransforms: true
+    });
+    return parseSource(code, filepath);
+  };
+}
+
+/**
+ * Parsers for each supported file extension. Files with an extension not present here are parsed as ES modules
+ * or scripts.
+ *
+ * @type {!Map<string, !SourceParser>}
+ */
+export const DEFAULT_PARSERS = new Map([
+  ['.js', transformingParser([])],
+  ['.mjs', transformingParser([])],
+  ['.cjs', transformingParser([])],
+  ['.jsx', transformingParser(['jsx'])],
+  ['.ts', transformingParser(['typescript'])],
+  ['.tsx', transformingParser(['typescript', 'jsx'])]
+]);
+
+/**
+ * Choose a parser for a file based on its extension.
+ *
+ * @param {string} filepath
+ * @param {!Map<string, !SourceParser>} parsers
+ * @return {!SourceParser}
+ */
+export function getParserForFile(filepath, parsers) {
+  return parsers.get(path.extname(filepath)) || parseSource;
+}